@@ -3,11 +3,16 @@ const express = require('express');
 const app = express();
 const Influx = require('..');
 const _ = require('lodash');
-const client = new Influx('http://localhost:8086/mydb');
+// batch post to influxdb when queue length gte 5
+const client = new Influx('http://localhost:8086/mydb', {
+  maxPoints: 5,
+});
 const onHeaders = require('on-headers');
 client.createDatabase().catch(err => {
   console.error('create database fail err:', err);
 });
+client.on('flush', () => console.info('sync write queue success'));
+client.on('flushError', console.error);
 
 app.use((req, res, next) => {
   const start = Date.now();
@@ -29,12 +34,6 @@ app.use((req, res, next) => {
       .tag(tags)
       .time(Date.now(), 'ms')
       .queue();
-    // batch post to influxdb when queue length gte 5
-    if (client.writeQueueLength >= 5) {
-      client.syncWrite()
-        .then(() => console.info('sync write queue success'))
-        .catch(console.error);
-    }
   });
   next();
 });
@@ -3,19 +3,16 @@ const express = require('express');
 const app = express();
 const Influx = require('..');
 const _ = require('lodash');
-const client = new Influx('http://localhost:8086/mydb');
+// batch post to influxdb  every 10s
+const client = new Influx('http://localhost:8086/mydb', {
+  flushInterval: 10 * 1000,
+});
 const onHeaders = require('on-headers');
 client.createDatabase().catch(err => {
   console.error('create database fail err:', err);
 });
-// batch post to influxdb  every 10s
-setInterval(() => {
-  if (client.writeQueueLength) {
-    client.syncWrite()
-      .then(() => console.info('sync write queue success'))
-      .catch(console.error);
-  }
-}, 10 * 1000);
+client.on('flush', stats => console.info(`sync write queue(${stats.count}) success`));
+client.on('flushError', console.error);
 
 app.use((req, res, next) => {
   const start = Date.now();
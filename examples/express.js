@@ -3,8 +3,10 @@ const express = require('express');
 const app = express();
 const Influx = require('..');
 const _ = require('lodash');
-const client = new Influx('http://red:8086/mydb');
-const onHeaders = require('on-headers');
+// sync write queue if the length is 100
+const client = new Influx('http://red:8086/mydb', {
+  maxPoints: 100,
+});
 
 // set the http stats schema
 client.schema('http', {
@@ -13,50 +15,19 @@ client.schema('http', {
   bytes: 'integer',
   url: 'string',
 });
-client.on('writeQueue', () => {
-  // sync write queue if the length is 100
-  if (client.writeQueueLength === 100) {
-    client.syncWrite()
-      .then(() => {
-        console.info('sync write success');
-      })
-      .catch(console.error);
-  }
+client.on('flush', () => {
+  console.info('sync write success');
 });
-
-function httpStats(req, res, next) {
-  const start = Date.now();
-  onHeaders(res, () => {
-    const code = res.statusCode;
-    const use = Date.now() - start;
-    const method = req.method;
-    const bytes = parseInt(res.get('Content-Length') || 0, 10);
-    const tags = {
-      spdy: _.sortedIndex([100, 300, 1000, 3000], use),
-      type: code / 100 | 0,
-      method,
-    };
-    const fields = {
-      use,
-      code,
-      bytes,
-      url: req.url,
-      route: req.route.path
-    };
-    // use queue for better performance
-    client.write('http')
-      .tag(tags)
-      .field(fields)
-      .queue();
-  });
-  next();
-}
+client.on('flushError', console.error);
 
 client.createDatabase().catch(err => {
   console.error('create database fail err:', err);
 });
 
-app.use(httpStats);
+// the stats of each request are added to the write queue
+app.use(client.expressMiddleware({
+  buckets: [100, 300, 1000, 3000],
+}));
 
 app.use((req, res, next) => {
   setTimeout(next, _.random(0, 5000));
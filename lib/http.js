@@ -1,11 +1,14 @@
 'use strict';
 
+const EventEmitter = require('events');
+const zlib = require('zlib');
 const _ = require('lodash');
 const request = require('superagent');
 const loadBalancer = require('superagent-load-balancer');
 
 const internal = require('./internal');
 const debug = require('./debug');
+const retry = require('./retry');
 
 function getRequest(method, url, query, timeout) {
   const req = request[method](url);
@@ -18,13 +21,67 @@ function getRequest(method, url, query, timeout) {
   return req;
 }
 
-class HTTP {
+// send the request with retry policy, create a new request for each attempt
+function send(internalData, fn, options) {
+  const createRequest = () => {
+    const req = fn();
+    req.use(internalData.balancer);
+    return req;
+  };
+  const policy = internalData.retry;
+  if (!policy || !_.get(options, 'retry')) {
+    return createRequest();
+  }
+  return retry.retry(policy, createRequest, _.get(options, 'write'));
+}
+
+function gzip(data) {
+  return new Promise((resolve, reject) => {
+    zlib.gzip(data, (err, buf) => {
+      /* istanbul ignore if */
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(buf);
+    });
+  });
+}
+
+// request the gzip response, and emit the bytes of the response before and after decompression
+function watchGzipResponse(http, req, url) {
+  req.set('Accept-Encoding', 'gzip');
+  req.once('request', () => {
+    req.req.once('response', (res) => {
+      /* istanbul ignore if */
+      if (res.headers['content-encoding'] !== 'gzip' || !res.prependListener) {
+        return;
+      }
+      let gzipBytes = 0;
+      // superagent decompresses the response, prepend the listener to get the compressed data
+      res.prependListener('data', (chunk) => {
+        gzipBytes += chunk.length;
+      });
+      req.once('response', (response) => {
+        http.emit('gzip', {
+          url,
+          bytes: Buffer.byteLength(response.text || ''),
+          gzipBytes,
+        });
+      });
+    });
+  });
+  return req;
+}
+
+class HTTP extends EventEmitter {
   /**
    * [constructor description]
    * @param  {[type]} servers [backendList]
    * @return {[type]}         [description]
    */
   constructor(servers, type) {
+    super();
     // health check
     const data = internal(this);
     debug('http backends:%j', servers);
@@ -48,34 +105,98 @@ class HTTP {
   get timeout() {
     return internal(this).timeout || 0;
   }
+  /**
+   * [retry set the retry policy]
+   * @param  {[type]} v [{
+   *   maxAttempts: Integer, // the max attempts of the request, default is 3
+   *   baseDelay: Integer, // the delay ms before the first retry, default is 100
+   *   maxDelay: Integer, // the max delay ms, default is 10000
+   *   jitter: Boolean, // random the delay between 0 and the backoff delay, default is true
+   *   statusCodes: Array, // the retryable http status, default is [500, 502, 503, 504]
+   *   errorCodes: Array, // the retryable error code, such as 'ECONNRESET'
+   * }]
+   * @return {[type]}   [description]
+   */
+  set retry(v) {
+    internal(this).retry = retry.getPolicy(v);
+  }
+  /**
+   * [retry get the retry policy]
+   * @return {[type]} [description]
+   */
+  get retry() {
+    return internal(this).retry;
+  }
+  /**
+   * [gzip set the gzip options]
+   * @param  {[type]} v [true or {minSize: Integer}, the write body will be compressed if its bytes
+   * is not less than minSize(default is 1024), and the gzip response will be requested]
+   * @return {[type]}   [description]
+   */
+  set gzip(v) {
+    internal(this).gzip = v ? _.extend({
+      minSize: 1024,
+    }, _.isObject(v) ? v : {}) : null;
+  }
+  /**
+   * [gzip get the gzip options]
+   * @return {[type]} [description]
+   */
+  get gzip() {
+    return internal(this).gzip;
+  }
   /**
    * [get http get]
    * @param  {[type]} url   [description]
    * @param  {[type]} query [description]
+   * @param  {[type]} options [{retry: Boolean, gzip: Boolean}, retry the request by the retry policy,
+   * request the gzip response if the gzip option is set]
    * @return {[type]}       [description]
    */
-  get(url, query) {
+  get(url, query, options) {
     debug('GET %s, query:%j', url, query);
     const internalData = internal(this);
-    const req = getRequest('get', url, query, internalData.timeout);
-    req.use(internalData.balancer);
-    return req;
+    const fn = () => {
+      const req = getRequest('get', url, query, internalData.timeout);
+      if (internalData.gzip && _.get(options, 'gzip')) {
+        watchGzipResponse(this, req, url);
+      }
+      return req;
+    };
+    return send(internalData, fn, options);
   }
   /**
    * [post http post]
    * @param  {[type]} url   [description]
    * @param  {[type]} data  [description]
    * @param  {[type]} query [description]
+   * @param  {[type]} options [{retry: Boolean, write: Boolean, gzip: Boolean}, retry the request by the retry policy,
+   * the write request will never be retried for 4xx, compress the body if the gzip option is set]
    * @return {[type]}       [description]
    */
-  post(url, data, query) {
+  post(url, data, query, options) {
     debug('POST %s, data:%j, query:%j', url, data, query);
     const internalData = internal(this);
-    const req = getRequest('post', url, query, internalData.timeout);
-    req.type('form')
-      .send(data);
-    req.use(internalData.balancer);
-    return req;
+    const gzipOptions = internalData.gzip;
+    const bytes = _.isString(data) ? Buffer.byteLength(data) : 0;
+    if (!gzipOptions || !_.get(options, 'gzip') || !bytes || bytes < gzipOptions.minSize) {
+      const fn = () => getRequest('post', url, query, internalData.timeout)
+        .type('form')
+        .send(data);
+      return send(internalData, fn, options);
+    }
+    return gzip(data).then((body) => {
+      this.emit('gzip', {
+        url,
+        bytes,
+        gzipBytes: body.length,
+      });
+      const fn = () => getRequest('post', url, query, internalData.timeout)
+        .type('text/plain')
+        .set('Content-Encoding', 'gzip')
+        .send(body);
+      return send(internalData, fn, options);
+    });
   }
 }
 
@@ -0,0 +1,338 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const StringDecoder = require('string_decoder').StringDecoder;
+const _ = require('lodash');
+
+const debug = require('./debug');
+const lineProtocol = require('./line-protocol');
+const util = require('./util');
+
+/**
+ * [createCSVParser create the transform stream which parses csv to rows,
+ * the first record is the header if the columns is not set]
+ * @param  {[type]} options [{delimiter: String, columns: Array}]
+ * @return {[type]}         [the stream of {row: Integer, data: Object} or {row: Integer, error: Error}]
+ */
+function createCSVParser(options) {
+  const delimiter = _.get(options, 'delimiter') || ',';
+  const decoder = new StringDecoder('utf8');
+  let columns = _.get(options, 'columns') || null;
+  let row = 0;
+  let field = '';
+  let record = [];
+  let quoted = false;
+  // the quote is closed, the next quote means the escaped quote
+  let afterQuote = false;
+  const endRecord = (transform) => {
+    record.push(field);
+    const values = record;
+    field = '';
+    record = [];
+    afterQuote = false;
+    // skip the blank line
+    if (values.length === 1 && !values[0]) {
+      return;
+    }
+    if (!columns) {
+      columns = values;
+      return;
+    }
+    row += 1;
+    if (values.length !== columns.length) {
+      transform.push({
+        row,
+        error: new Error(`the count of values is ${values.length}, expected ${columns.length}`),
+      });
+      return;
+    }
+    transform.push({
+      row,
+      data: _.zipObject(columns, values),
+    });
+  };
+  const parse = (transform, text) => {
+    _.forEach(text, (ch) => {
+      if (quoted) {
+        if (ch === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          field += ch;
+        }
+        return;
+      }
+      if (ch === '"') {
+        if (afterQuote) {
+          field += ch;
+        }
+        quoted = true;
+        afterQuote = false;
+        return;
+      }
+      afterQuote = false;
+      if (ch === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        endRecord(transform);
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    });
+  };
+  return new stream.Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, cb) {
+      parse(this, decoder.write(chunk));
+      cb();
+    },
+    flush(cb) {
+      parse(this, decoder.end());
+      if (quoted) {
+        this.push({
+          row: row + 1,
+          error: new Error('unterminated quoted value'),
+        });
+      } else if (field || record.length) {
+        endRecord(this);
+      }
+      cb();
+    },
+  });
+}
+
+/**
+ * [createNDJSONParser create the transform stream which parses ndjson to rows]
+ * @return {[type]} [the stream of {row: Integer, data: Object} or {row: Integer, error: Error}]
+ */
+function createNDJSONParser() {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let row = 0;
+  const parseLine = (transform, line) => {
+    row += 1;
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      transform.push({
+        row,
+        data: JSON.parse(line),
+      });
+    } catch (err) {
+      transform.push({
+        row,
+        error: err,
+      });
+    }
+  };
+  return new stream.Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, cb) {
+      const lines = (buffer + decoder.write(chunk)).split('\n');
+      buffer = lines.pop();
+      _.forEach(lines, line => parseLine(this, line));
+      cb();
+    },
+    flush(cb) {
+      buffer += decoder.end();
+      if (buffer) {
+        parseLine(this, buffer);
+      }
+      cb();
+    },
+  });
+}
+
+// get the value of the column or json path
+function getValue(data, key) {
+  if (Object.prototype.hasOwnProperty.call(data, key)) {
+    return data[key];
+  }
+  return _.get(data, key);
+}
+
+// get the mapping {key: {key: String, type: String}} of tags or fields,
+// the mapping can be the array of keys or {name: key | {key, type}}
+function getMapping(mapping) {
+  const result = {};
+  if (_.isArray(mapping)) {
+    _.forEach(mapping, (key) => {
+      result[key] = {
+        key,
+      };
+    });
+    return result;
+  }
+  _.forEach(mapping, (item, name) => {
+    result[name] = _.isString(item) ? {
+      key: item,
+    } : _.extend({
+      key: name,
+    }, item);
+  });
+  return result;
+}
+
+function getMappingValues(data, mapping) {
+  const result = {};
+  _.forEach(mapping, (item, name) => {
+    const value = getValue(data, item.key);
+    // the empty value of csv is ignored
+    if (_.isNil(value) || value === '') {
+      return;
+    }
+    result[name] = item.type ? lineProtocol.typed(item.type, value) : value;
+  });
+  return result;
+}
+
+// set the timestamp of the row by the time option {key, format, precision},
+// the format is 'epoch', 'iso' or function, the default is auto
+function setTime(writer, data, timeOptions) {
+  const value = getValue(data, timeOptions.key);
+  if (_.isNil(value) || value === '') {
+    throw new Error(`the time ${timeOptions.key} is empty`);
+  }
+  const format = timeOptions.format;
+  let timestamp = value;
+  if (_.isFunction(format)) {
+    timestamp = format(value);
+  } else if (format === 'epoch' && !/^-?\d+$/.test(`${value}`)) {
+    throw new Error(`the time is not epoch: ${value}`);
+  } else if (format === 'iso' && (!_.isString(value) || /^-?\d+$/.test(value))) {
+    throw new Error(`the time is not iso: ${value}`);
+  }
+  writer.time(timestamp, timeOptions.precision);
+}
+
+/**
+ * [importPoints import the points from the csv or ndjson file]
+ * @param  {[type]} client  [the client instance]
+ * @param  {[type]} influx  [the influx instance]
+ * @param  {[type]} source  [the file path or readable stream]
+ * @param  {[type]} options [see client.import]
+ * @return {[type]}         [{rows, written, failed, errors}]
+ */
+function importPoints(client, influx, source, options) {
+  const opts = _.extend({
+    batchSize: 5000,
+    maxErrors: 1000,
+  }, options);
+  /* istanbul ignore if */
+  if (!opts.measurement) {
+    return Promise.reject(new Error('measurement can not be null'));
+  }
+  const format = opts.format || (_.isString(source) && path.extname(source) === '.csv' ? 'csv' : 'ndjson');
+  const input = _.isString(source) ? fs.createReadStream(source) : source;
+  const parser = format === 'csv' ? createCSVParser(opts) : createNDJSONParser();
+  const tagMapping = getMapping(opts.tags);
+  const fieldMapping = getMapping(opts.fields);
+  const summary = {
+    rows: 0,
+    written: 0,
+    failed: 0,
+    errors: [],
+  };
+  const addError = (row, message) => {
+    summary.failed += 1;
+    if (summary.errors.length < opts.maxErrors) {
+      summary.errors.push({
+        row,
+        message,
+      });
+    }
+  };
+  const toPoint = (data) => {
+    const measurement = _.isFunction(opts.measurement) ? opts.measurement(data) : opts.measurement;
+    const writer = client.write(measurement)
+      .tag(getMappingValues(data, tagMapping))
+      .field(getMappingValues(data, fieldMapping));
+    if (opts.time) {
+      setTime(writer, data, _.isString(opts.time) ? {
+        key: opts.time,
+      } : opts.time);
+    } else if (opts.precision) {
+      writer.precision = opts.precision;
+    }
+    const point = writer.toJSON();
+    // throw error if the point can not be converted to line protocol
+    lineProtocol.format(point);
+    return point;
+  };
+  let batch = [];
+  const flush = () => {
+    if (!batch.length) {
+      return Promise.resolve();
+    }
+    const items = batch;
+    batch = [];
+    return influx.write(_.map(items, 'point')).catch((err) => {
+      // the points are rejected by influxdb, the other error stops the import
+      if (!err.result || err.result.failed) {
+        throw err;
+      }
+      return err.result;
+    }).then((result) => {
+      summary.written += result.accepted;
+      _.forEach(result.rejected, (item) => {
+        addError(_.get(items[item.index], 'row', -1), item.reason);
+      });
+      // the points are dropped without the index, eg: points beyond retention policy
+      summary.failed += Math.max(0, result.dropped - result.rejected.length);
+      debug('import %d rows, %d written', summary.rows, summary.written);
+      if (opts.onProgress) {
+        opts.onProgress(_.pick(summary, ['rows', 'written', 'failed']));
+      }
+    });
+  };
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const fail = (err) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      input.unpipe(parser);
+      reject(util.wrapError(err, {
+        summary,
+      }));
+    };
+    input.on('error', fail);
+    parser.on('error', fail);
+    parser.on('data', (item) => {
+      summary.rows += 1;
+      if (item.error) {
+        addError(item.row, item.error.message);
+        return;
+      }
+      try {
+        batch.push({
+          row: item.row,
+          point: toPoint(item.data),
+        });
+      } catch (err) {
+        addError(item.row, err.message);
+      }
+      // only one batch is written at the same time
+      if (batch.length >= opts.batchSize) {
+        parser.pause();
+        flush().then(() => parser.resume(), fail);
+      }
+    });
+    parser.on('end', () => {
+      flush().then(() => {
+        done = true;
+        resolve(summary);
+      }, fail);
+    });
+    input.pipe(parser);
+  });
+}
+
+exports.createCSVParser = createCSVParser;
+exports.createNDJSONParser = createNDJSONParser;
+exports.importPoints = importPoints;
@@ -3,65 +3,300 @@
 const InfluxQL = require('influx-ql');
 const _ = require('lodash');
 const HTTP = require('./http');
+const UDP = require('./udp');
 const internal = require('./internal');
 const debug = require('./debug');
 const util = require('./util');
+const lineProtocol = require('./line-protocol');
 
-const influxInt = new RegExp('^[0-9]+i$');
-
-function convert(v) {
-  if (!_.isString(v)) {
-    return v;
+// get the rejected points from the error message of influxdb, eg:
+// partial write: field type conflict: input field "use" on measurement "http" is type integer, already exists as type float dropped=1
+// partial write: points beyond retention policy dropped=2
+// unable to parse 'http use=': missing field value
+function getWriteResult(message, points, lines) {
+  const result = {
+    count: points.length,
+    accepted: points.length,
+    dropped: 0,
+    failed: 0,
+    rejected: [],
+  };
+  if (!message) {
+    return result;
+  }
+  _.forEach(message.split('\n'), (str) => {
+    const parseResult = /unable to parse '([\s\S]*)': (.+)$/.exec(str);
+    if (parseResult) {
+      const index = _.indexOf(lines, parseResult[1]);
+      result.rejected.push({
+        index,
+        line: parseResult[1],
+        point: points[index],
+        reason: parseResult[2],
+      });
+      return;
+    }
+    const partialResult = /partial write: (.+?)(?: dropped=(\d+))?$/.exec(str);
+    if (!partialResult) {
+      return;
+    }
+    const reason = partialResult[1];
+    result.reason = reason;
+    result.dropped += parseInt(partialResult[2] || 0, 10);
+    const conflict = /field type conflict: input field "(.+?)" on measurement "(.+?)" is type (\w+), already exists as type (\w+)/.exec(reason);
+    if (!conflict) {
+      return;
+    }
+    const field = conflict[1];
+    const measurement = conflict[2];
+    const type = conflict[3];
+    const existingType = conflict[4];
+    _.forEach(points, (point, index) => {
+      if (point.measurement !== measurement || !_.has(point.fields, field)) {
+        return;
+      }
+      if (lineProtocol.getFieldType(point.fields[field]) !== type) {
+        return;
+      }
+      result.rejected.push({
+        index,
+        line: lines[index],
+        point,
+        reason,
+        measurement,
+        field,
+        type,
+        existingType,
+      });
+    });
+  });
+  const parseErrorCount = _.filter(result.rejected, item => !item.field).length;
+  result.dropped += parseErrorCount;
+  if (!result.reason && parseErrorCount) {
+    result.reason = 'unable to parse';
   }
-  return v.replace(/,/g, '\\,').replace(/ /, '\\ ');
+  result.accepted = Math.max(0, result.count - result.dropped);
+  return result;
 }
 
-function format(data) {
-  return _.map(data, (v, k) => `${convert(k)}=${convert(v)}`).join(',');
+// group the points by precision, database and retention policy, each group is written by one request,
+// the point which can not be converted to line protocol is skipped
+function groupPoints(points, lines) {
+  const groups = new Map();
+  _.forEach(points, (point, index) => {
+    if (_.isNil(lines[index])) {
+      return;
+    }
+    const key = JSON.stringify([point.precision, point.database, point.retentionPolicy]);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        precision: point.precision,
+        database: point.database,
+        retentionPolicy: point.retentionPolicy,
+        indexes: [],
+      });
+    }
+    groups.get(key).indexes.push(index);
+  });
+  return Array.from(groups.values());
 }
 
-function isBoolean(v) {
-  const arr = ['t', 'true', 'f', 'false'];
-  return _.indexOf(arr, v.toLowerCase()) !== -1;
+// split the points of the group to batches by the max lines and max bytes of each request
+function getBatches(group, points, lines, options) {
+  const maxLines = _.get(options, 'maxLines') || Infinity;
+  const maxBytes = _.get(options, 'maxBytes') || Infinity;
+  const batches = [];
+  let batch = null;
+  _.forEach(group.indexes, (index) => {
+    const line = lines[index];
+    const bytes = Buffer.byteLength(line) + 1;
+    if (!batch || batch.lines.length >= maxLines || batch.bytes + bytes > maxBytes) {
+      batch = {
+        group,
+        indexes: [],
+        points: [],
+        lines: [],
+        bytes: 0,
+      };
+      batches.push(batch);
+    }
+    batch.indexes.push(index);
+    batch.points.push(points[index]);
+    batch.lines.push(line);
+    batch.bytes += bytes;
+  });
+  return batches;
 }
 
-function formatFields(data) {
-  return _.map(data, (v, k) => {
-    if (_.isString(v) && !influxInt.test(v) && !isBoolean(v)) {
-      return `${convert(k)}="${v}"`;
+// combine the write results of all batches, the index of rejected point is the index in all points,
+// the invalid points are rejected before sending
+function combineWriteResults(count, items, invalid) {
+  const result = {
+    count,
+    accepted: 0,
+    dropped: 0,
+    failed: 0,
+    rejected: [],
+  };
+  const requestErrors = [];
+  const partialErrors = [];
+  let failedPoints = [];
+  _.forEach(items, (item) => {
+    const batchResult = item.result || _.get(item, 'err.result');
+    if (!batchResult) {
+      result.failed += item.batch.points.length;
+      failedPoints = failedPoints.concat(item.batch.points);
+      requestErrors.push(item.err);
+      return;
     }
-    return `${convert(k)}=${convert(v)}`;
-  }).join(',');
-}
-// Tags should be sorted by key before being sent for best performance. The sort should match that from the Go bytes.Compare function (http://golang.org/pkg/bytes/#Compare).
-function sortTags(data) {
-  const toBuffer = (str) => {
-    if (Buffer.from) {
-      return Buffer.from(str);
+    if (item.err) {
+      partialErrors.push(item.err);
     }
-    return new Buffer(str);
-  };
-  const keys = _.map(
-    _.keys(data), toBuffer
-  ).sort(Buffer.compare);
-  const result = {};
-  _.forEach(keys, (key) => {
-    const k = key.toString();
-    result[k] = data[k];
+    result.accepted += batchResult.accepted;
+    result.dropped += batchResult.dropped;
+    if (batchResult.reason && !result.reason) {
+      result.reason = batchResult.reason;
+    }
+    _.forEach(batchResult.rejected, (rejected) => {
+      result.rejected.push(_.extend({}, rejected, {
+        index: rejected.index === -1 ? -1 : item.batch.indexes[rejected.index],
+      }));
+    });
   });
-  return result;
+  if (invalid.length) {
+    result.dropped += invalid.length;
+    result.rejected = _.sortBy(invalid.concat(result.rejected), 'index');
+    if (!result.reason) {
+      result.reason = invalid[0].reason;
+    }
+    partialErrors.push(new Error(`partial write: ${invalid[0].reason} dropped=${invalid.length}`));
+  }
+  // the request error is thrown first, the partial write error is the next
+  const err = requestErrors[0] || partialErrors[0];
+  if (!err) {
+    return result;
+  }
+  err.result = result;
+  if (failedPoints.length) {
+    err.points = failedPoints;
+  }
+  throw err;
 }
 
-function getPostData(data) {
-  const arr = [data.measurement];
-  if (data.tags && !_.isEmpty(data.tags)) {
-    arr.push(`,${format(sortTags(data.tags))}`);
+// convert the point to line protocol for udp, the timestamp is converted to the precision of the udp listener,
+// the database and retention policy of the point are not supported
+function getUDPLine(point, database, udp) {
+  if ((point.database && point.database !== database) || point.retentionPolicy) {
+    throw new Error('the database and retention policy of point are not supported by udp');
   }
-  arr.push(` ${formatFields(data.fields)}`);
-  if (data.time) {
-    arr.push(` ${data.time}`);
+  const data = point.time ? _.extend({}, point, {
+    time: util.convertTimestamp(point.time, point.precision, udp.precision),
+  }) : point;
+  const line = lineProtocol.format(data);
+  if (Buffer.byteLength(line) > udp.payloadSize) {
+    throw new Error('the point is too large for the udp datagram');
   }
-  return arr.join('');
+  return line;
+}
+
+// split the points to datagrams which fit the mtu, the result is the same as http
+function writeUDP(udp, points, lines, invalid, batchOptions) {
+  const group = {
+    indexes: _.filter(_.range(points.length), index => !_.isNil(lines[index])),
+  };
+  // the last line of the datagram has no new line
+  const batches = getBatches(group, points, lines, {
+    maxBytes: udp.payloadSize + 1,
+  });
+  const send = batch => udp.send(batch.lines.join('\n')).then(() => ({
+    batch,
+    result: getWriteResult(null, batch.points, batch.lines),
+  }), err => ({
+    batch,
+    err,
+  }));
+  debug('write %d points in %d datagrams', points.length, batches.length);
+  return util.mapLimit(batches, _.get(batchOptions, 'concurrency') || 1, send)
+    .then(items => combineWriteResults(points.length, items, invalid));
+}
+
+// write the points by http or udp, see Influx.write
+function writePoints(influx, v) {
+  const points = _.isArray(v) ? v : [v];
+  const internalData = internal(influx);
+  const opts = internalData.opts;
+  const client = internalData.client;
+  const getQueryData = (group) => {
+    const queryData = {
+      db: group.database || opts.database,
+    };
+    if (opts.username && opts.password) {
+      queryData.u = opts.username;
+      queryData.p = opts.password;
+    }
+    if (group.retentionPolicy) {
+      queryData.rp = group.retentionPolicy;
+    }
+    if (group.precision) {
+      queryData.precision = group.precision;
+    }
+    return queryData;
+  };
+  // the points are only serialized in dry run mode
+  const dryRun = opts.dryRun;
+  const udp = dryRun ? null : internalData.udp;
+  const postData = [];
+  const invalid = [];
+  _.forEach(points, (point, index) => {
+    try {
+      postData[index] = udp ? getUDPLine(point, opts.database, udp) : lineProtocol.format(point);
+    } catch (err) {
+      invalid.push({
+        index,
+        point,
+        reason: err.message,
+      });
+    }
+  });
+  const batchOptions = opts.batch;
+  if (udp) {
+    return writeUDP(udp, points, postData, invalid, batchOptions);
+  }
+  const batches = _.flatten(_.map(groupPoints(points, postData), group => getBatches(group, points, postData, batchOptions)));
+  const post = (batch) => {
+    const body = batch.lines.join('\n');
+    if (!dryRun) {
+      return client.post('/write', body, getQueryData(batch.group), {
+        retry: true,
+        write: true,
+        gzip: true,
+      });
+    }
+    return Promise.resolve().then(() => dryRun({
+      database: batch.group.database || opts.database,
+      retentionPolicy: batch.group.retentionPolicy,
+      precision: batch.group.precision,
+      count: batch.lines.length,
+      body,
+    }));
+  };
+  const send = batch => post(batch).then(() => ({
+    batch,
+    result: getWriteResult(null, batch.points, batch.lines),
+  }), (err) => {
+    const e = util.getError(err);
+    const result = getWriteResult(_.get(err, 'response.body.error'), batch.points, batch.lines);
+    if (result.dropped) {
+      e.result = result;
+    }
+    return {
+      batch,
+      err: e,
+    };
+  });
+  debug('write %d points in %d batches', points.length, batches.length);
+  return util.mapLimit(batches, _.get(batchOptions, 'concurrency') || 1, send)
+    .then(items => combineWriteResults(points.length, items, invalid));
 }
 
 class Influx {
@@ -71,8 +306,9 @@ class Influx {
    * @return {[type]}         [description]
    */
   constructor(options) {
+    const udpServers = _.filter(options.servers, server => server.protocol === 'udp');
     /* istanbul ignore if */
-    if (!options.database) {
+    if (!options.database && !udpServers.length) {
       throw new Error('database can not be null');
     }
     /* istanbul ignore if */
@@ -81,10 +317,43 @@ class Influx {
     }
     debug('Influx init options:%j', options);
     const client = new HTTP(options.servers);
+    if (options.retry) {
+      client.retry = options.retry;
+    }
+    if (options.gzip) {
+      client.gzip = options.gzip;
+    }
     const internalData = internal(this);
     internalData.opts = _.extend({}, options);
     internalData.client = client;
+    // the writes in progress, see drain
+    internalData.pending = new Set();
+    // write by udp if the protocol of servers is udp or the udp option is set
+    if (udpServers.length || options.udp) {
+      const udpOptions = _.extend({}, options.udp);
+      let servers = udpServers;
+      if (!servers.length) {
+        const hosts = udpOptions.host ? [udpOptions.host] : _.map(options.servers, 'host');
+        servers = _.map(hosts, host => ({
+          host,
+          port: udpOptions.port || 8089,
+        }));
+      }
+      internalData.udp = new UDP(servers, udpOptions);
+      internalData.udpOnly = udpServers.length !== 0;
+    }
+  }
+  /**
+   * [on listen the event of http, eg: gzip]
+   * @param  {[type]} eventName [description]
+   * @param  {[type]} listener  [description]
+   * @return {[type]}           [description]
+   */
+  on(eventName, listener) {
+    internal(this).client.on(eventName, listener);
+    return this;
   }
+
   /**
    * [timeout set timeout]
    * @param  {[type]} v [description]
@@ -102,6 +371,23 @@ class Influx {
     return internal(this).client.timeout;
   }
 
+  /**
+   * [retry set the retry policy of query and write]
+   * @param  {[type]} v [description]
+   * @return {[type]}   [description]
+   */
+  set retry(v) {
+    internal(this).client.retry = v;
+  }
+
+  /**
+   * [retry get the retry policy]
+   * @return {[type]} [description]
+   */
+  get retry() {
+    return internal(this).client.retry;
+  }
+
   /**
    * [query query result from influxdb]
    * @param  {[type]} q [description]
@@ -110,6 +396,9 @@ class Influx {
   query(q, db, epoch) {
     debug('q:%s', q);
     const internalData = internal(this);
+    if (internalData.udpOnly) {
+      return Promise.reject(new Error('query is not supported by udp'));
+    }
     const opts = internalData.opts;
     const queryData = {
       q,
@@ -122,7 +411,10 @@ class Influx {
     if (epoch) {
       queryData.epoch = epoch;
     }
-    return internalData.client.get('/query', queryData).then(res => res.body, (err) => {
+    return internalData.client.get('/query', queryData, {
+      retry: true,
+      gzip: true,
+    }).then(res => res.body, (err) => {
       throw util.getError(err);
     });
   }
@@ -130,28 +422,21 @@ class Influx {
   /**
    * [write write point to influxdb]
    * @param  {[type]} v [description]
-   * @return {[type]}   [description]
+   * @return {[type]}   [{count, accepted, dropped, failed, rejected}, the points are grouped by
+   * precision, database and retention policy, and split to batches by opts.batch {maxLines, maxBytes, concurrency}. If some points are dropped or some batches are fail,
+   * the promise will be rejected and the error has the result, the points of the fail batches are err.points.
+   * The point which can not be converted to line protocol is rejected without sending.
+   * If udp is used, the points are split to datagrams by the mtu, the result is the count of points sent.
+   * If opts.dryRun is set, the request {database, retentionPolicy, precision, count, body} is passed to it
+   * instead of sending. The write is kept in progress until it's settled, see drain]
    */
   write(v) {
-    const points = _.isArray(v) ? v : [v];
-    const internalData = internal(this);
-    const opts = internalData.opts;
-    const client = internalData.client;
-    const queryData = {
-      db: opts.database,
-    };
-    if (opts.username && opts.password) {
-      queryData.u = opts.username;
-      queryData.p = opts.password;
-    }
-    if (points[0].precision) {
-      queryData.precision = points[0].precision;
-    }
-    const postData = _.map(points, getPostData);
-    return client.post('/write', postData.join('\n'), queryData).then(res => res.body, (err) => {
-      /* istanbul ignore next */
-      throw util.getError(err);
-    });
+    const pending = internal(this).pending;
+    const writing = writePoints(this, v);
+    const done = () => pending.delete(writing);
+    pending.add(writing);
+    writing.then(done, done);
+    return writing;
   }
 
   createDatabase(db) {
@@ -164,6 +449,9 @@ class Influx {
 
   queryPost(q, db) {
     const internalData = internal(this);
+    if (internalData.udpOnly) {
+      return Promise.reject(new Error('query is not supported by udp'));
+    }
     const opts = internalData.opts;
     debug('q:%s', q);
     const queryData = {};
@@ -182,6 +470,31 @@ class Influx {
       throw util.getError(err);
     });
   }
+
+  /**
+   * [drain wait for the writes in progress, the writes started during waiting are also waited]
+   * @return {[type]} [description]
+   */
+  drain() {
+    const pending = internal(this).pending;
+    if (!pending.size) {
+      return Promise.resolve();
+    }
+    const writes = [];
+    pending.forEach(writing => writes.push(writing.catch(_.noop)));
+    return Promise.all(writes).then(() => this.drain());
+  }
+
+  /**
+   * [close close the sockets of udp]
+   * @return {[type]} [description]
+   */
+  close() {
+    const udp = internal(this).udp;
+    if (udp) {
+      udp.close();
+    }
+  }
 }
 
 module.exports = Influx;
@@ -0,0 +1,547 @@
+'use strict';
+
+const stream = require('stream');
+const StringDecoder = require('string_decoder').StringDecoder;
+const _ = require('lodash');
+
+const fieldTypes = ['float', 'integer', 'unsigned', 'boolean', 'string'];
+const trueList = 't T true True TRUE'.split(' ');
+const falseList = 'f F false False FALSE'.split(' ');
+const maxInteger = '9223372036854775807';
+const minInteger = '9223372036854775808';
+const maxUnsigned = '18446744073709551615';
+
+// compare the digits string with the max digits string
+function notGreaterThan(digits, max) {
+  const str = digits.replace(/^0+(?=\d)/, '');
+  if (str.length !== max.length) {
+    return str.length < max.length;
+  }
+  return str <= max;
+}
+
+// the new line ends the point and the trailing backslash escapes the delimiter after it, so they are not allowed
+function checkName(str) {
+  if (/[\r\n]/.test(str)) {
+    throw new Error(`the new line is not allowed: ${JSON.stringify(str)}`);
+  }
+  if (str[str.length - 1] === '\\') {
+    throw new Error(`the trailing backslash is not allowed: ${str}`);
+  }
+  return str;
+}
+
+/**
+ * [escapeMeasurement escape the comma and space of measurement,
+ * the new line, trailing backslash and leading # (comment line) are not allowed]
+ * @param  {[type]} str [description]
+ * @return {[type]}     [description]
+ */
+function escapeMeasurement(str) {
+  const measurement = checkName(String(str));
+  if (measurement[0] === '#') {
+    throw new Error(`the measurement can not start with #: ${measurement}`);
+  }
+  return measurement.replace(/[, ]/g, '\\$&');
+}
+
+/**
+ * [escapeKey escape the comma, equal sign and space of tag key, tag value and field key,
+ * the new line and trailing backslash are not allowed]
+ * @param  {[type]} str [description]
+ * @return {[type]}     [description]
+ */
+function escapeKey(str) {
+  return checkName(String(str)).replace(/[,= ]/g, '\\$&');
+}
+
+/**
+ * [escapeString escape the double quote and backslash of string field value]
+ * @param  {[type]} str [description]
+ * @return {[type]}     [description]
+ */
+function escapeString(str) {
+  return String(str).replace(/["\\]/g, '\\$&');
+}
+
+// the BigInt is not supported by old node, so the type tag is checked instead of typeof
+function isBigInt(value) {
+  return Object.prototype.toString.call(value) === '[object BigInt]';
+}
+
+/**
+ * [isTyped check the value is typed field value, eg: {type: 'integer', value: 10}]
+ * @param  {[type]}  value [description]
+ * @return {Boolean}       [description]
+ */
+function isTyped(value) {
+  return _.isObject(value) && _.includes(fieldTypes, value.type) && _.has(value, 'value');
+}
+
+/**
+ * [getFieldType get the influxdb type of field value]
+ * @param  {[type]} value [description]
+ * @return {[type]}       [float, integer, unsigned, boolean, string]
+ */
+function getFieldType(value) {
+  if (isTyped(value)) {
+    return value.type;
+  }
+  if (_.isBoolean(value)) {
+    return 'boolean';
+  }
+  if (_.isNumber(value)) {
+    return 'float';
+  }
+  if (isBigInt(value)) {
+    return 'integer';
+  }
+  return 'string';
+}
+
+function formatInteger(value, unsigned) {
+  const type = unsigned ? 'unsigned' : 'integer';
+  const str = String(value);
+  if (!/^-?\d+$/.test(str)) {
+    throw new Error(`${type} field value is invalid: ${str}`);
+  }
+  const negative = str[0] === '-';
+  const digits = negative ? str.substring(1) : str;
+  let valid = false;
+  if (unsigned) {
+    valid = !negative && notGreaterThan(digits, maxUnsigned);
+  } else {
+    valid = notGreaterThan(digits, negative ? minInteger : maxInteger);
+  }
+  if (!valid) {
+    throw new Error(`${type} field value is out of range: ${str}`);
+  }
+  return `${str}${unsigned ? 'u' : 'i'}`;
+}
+
+function formatFloat(value) {
+  const v = _.isNumber(value) ? value : parseFloat(value);
+  if (!_.isFinite(v)) {
+    throw new Error(`float field value is invalid: ${value}`);
+  }
+  return `${v}`;
+}
+
+function formatBoolean(value) {
+  if (_.includes(trueList, value)) {
+    return 'true';
+  }
+  if (_.includes(falseList, value)) {
+    return 'false';
+  }
+  return value ? 'true' : 'false';
+}
+
+/**
+ * [formatFieldValue format the field value by its type]
+ * @param  {[type]} value [number is float, bigint is integer,
+ * the typed value is {type: 'integer' | 'unsigned' | 'float' | 'boolean' | 'string', value: Any}]
+ * @return {[type]}       [description]
+ */
+function formatFieldValue(value) {
+  const v = isTyped(value) ? value.value : value;
+  switch (getFieldType(value)) {
+    case 'integer':
+      return formatInteger(v);
+    case 'unsigned':
+      return formatInteger(v, true);
+    case 'float':
+      return formatFloat(v);
+    case 'boolean':
+      return formatBoolean(v);
+    default:
+      return `"${escapeString(v)}"`;
+  }
+}
+
+/**
+ * [typed get the typed field value, the BigInt value is converted to string, so it can be converted to json]
+ * @param  {[type]} type  [integer, unsigned, float, boolean, string]
+ * @param  {[type]} value [description]
+ * @return {[type]}       [{type: String, value: Any}]
+ */
+function typed(type, value) {
+  if (!_.includes(fieldTypes, type)) {
+    throw new Error(`field type is invalid: ${type}`);
+  }
+  const result = {
+    type,
+    value: isBigInt(value) ? value.toString() : value,
+  };
+  // throw error if the value is invalid for the type
+  formatFieldValue(result);
+  return result;
+}
+
+/**
+ * [normalizeFieldValue convert the BigInt field value to typed integer value]
+ * @param  {[type]} value [description]
+ * @return {[type]}       [description]
+ */
+function normalizeFieldValue(value) {
+  if (isBigInt(value)) {
+    return typed('integer', value);
+  }
+  if (isTyped(value) && isBigInt(value.value)) {
+    return typed(value.type, value.value);
+  }
+  return value;
+}
+
+/**
+ * [sortTags sort the tags by key, the sort should match that from the Go bytes.Compare function]
+ * @param  {[type]} data [description]
+ * @return {[type]}      [description]
+ */
+function sortTags(data) {
+  const toBuffer = (str) => {
+    if (Buffer.from) {
+      return Buffer.from(str);
+    }
+    return new Buffer(str);
+  };
+  return _.map(_.map(_.keys(data), toBuffer).sort(Buffer.compare), key => key.toString());
+}
+
+/**
+ * [format convert the point to line protocol]
+ * @param  {[type]} point [{measurement: String, tags: Object, fields: Object, time: String}]
+ * @return {[type]}       [description]
+ */
+function format(point) {
+  if (!point || !point.measurement) {
+    throw new Error('measurement can not be null');
+  }
+  const arr = [escapeMeasurement(point.measurement)];
+  const tags = point.tags || {};
+  _.forEach(sortTags(tags), (key) => {
+    const value = tags[key];
+    // the empty tag value is not allowed
+    if (_.isNil(value) || value === '') {
+      return;
+    }
+    if (!key) {
+      throw new Error('tag key can not be empty');
+    }
+    arr.push(`,${escapeKey(key)}=${escapeKey(value)}`);
+  });
+  const fields = [];
+  _.forEach(point.fields, (value, key) => {
+    if (_.isNil(value)) {
+      return;
+    }
+    if (!key) {
+      throw new Error('field key can not be empty');
+    }
+    fields.push(`${escapeKey(key)}=${formatFieldValue(value)}`);
+  });
+  if (!fields.length) {
+    throw new Error('fields can not be empty');
+  }
+  arr.push(` ${fields.join(',')}`);
+  // the timestamp 0 is the epoch
+  if (!_.isNil(point.time)) {
+    const time = String(point.time);
+    if (!/^-?\d+$/.test(time)) {
+      throw new Error(`timestamp is invalid: ${time}`);
+    }
+    arr.push(` ${time}`);
+  }
+  return arr.join('');
+}
+
+// the integer value out of the safe range is kept as string
+function toInteger(str) {
+  const v = parseInt(str, 10);
+  return Number.isSafeInteger(v) ? v : str.replace(/^(-?)0+(?=\d)/, '$1');
+}
+
+// the parse state {text, pos, line, lineStart} is moved forward by the parse methods
+class ParseState {
+  constructor(text, line) {
+    this.text = text;
+    this.pos = 0;
+    this.line = line || 1;
+    this.lineStart = 0;
+  }
+
+  // get the parse error with the line and column
+  error(reason, pos) {
+    const column = ((_.isNil(pos) ? this.pos : pos) - this.lineStart) + 1;
+    const err = new Error(`${reason} at line ${this.line}, column ${column}`);
+    err.line = this.line;
+    err.column = column;
+    return err;
+  }
+
+  // read the token until the unescaped delimiter, the escaped chars are unescaped
+  readToken(delimiters, escapes) {
+    const text = this.text;
+    let result = '';
+    while (this.pos < text.length) {
+      const ch = text[this.pos];
+      const next = text[this.pos + 1];
+      if (ch === '\\' && next && escapes.indexOf(next) !== -1) {
+        result += next;
+        this.pos += 2;
+      } else if (delimiters.indexOf(ch) !== -1) {
+        break;
+      } else {
+        result += ch;
+        this.pos += 1;
+      }
+    }
+    return result;
+  }
+
+  skipSpaces() {
+    while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') {
+      this.pos += 1;
+    }
+  }
+
+  // skip the carriage return of CRLF line ending
+  skipCarriageReturn() {
+    const next = this.text[this.pos + 1];
+    if (this.text[this.pos] === '\r' && (next === '\n' || _.isUndefined(next))) {
+      this.pos += 1;
+    }
+  }
+
+  // read the string field value, the string may contain new line
+  readString() {
+    const text = this.text;
+    const start = this.pos;
+    let result = '';
+    this.pos += 1;
+    while (this.pos < text.length) {
+      const ch = text[this.pos];
+      const next = text[this.pos + 1];
+      if (ch === '\\' && (next === '"' || next === '\\')) {
+        result += next;
+        this.pos += 2;
+      } else if (ch === '"') {
+        this.pos += 1;
+        return result;
+      } else {
+        if (ch === '\n') {
+          this.line += 1;
+          this.lineStart = this.pos + 1;
+        }
+        result += ch;
+        this.pos += 1;
+      }
+    }
+    const err = this.error('unterminated string', start);
+    err.incomplete = true;
+    throw err;
+  }
+
+  readFieldValue() {
+    if (this.text[this.pos] === '"') {
+      return this.readString();
+    }
+    const start = this.pos;
+    const str = this.readToken(', \r\n', '');
+    if (!str) {
+      throw this.error('missing field value', start);
+    }
+    if (_.includes(trueList, str)) {
+      return true;
+    }
+    if (_.includes(falseList, str)) {
+      return false;
+    }
+    const type = { i: 'integer', u: 'unsigned' }[str[str.length - 1]];
+    if (type) {
+      const digits = str.substring(0, str.length - 1);
+      const reg = type === 'integer' ? /^-?\d+$/ : /^\d+$/;
+      if (!reg.test(digits)) {
+        throw this.error(`invalid ${type} field value`, start);
+      }
+      try {
+        formatInteger(digits, type === 'unsigned');
+      } catch (err) {
+        throw this.error(`${type} field value is out of range`, start);
+      }
+      return {
+        type,
+        value: toInteger(digits),
+      };
+    }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(str)) {
+      throw this.error('invalid field value', start);
+    }
+    return parseFloat(str);
+  }
+
+  // parse the point from the current position, the blank line and comment line return null
+  parsePoint() {
+    const text = this.text;
+    this.skipSpaces();
+    this.skipCarriageReturn();
+    const ch = text[this.pos];
+    if (ch === '#' || ch === '\n' || this.pos >= text.length) {
+      this.readToken('\n', '');
+    } else {
+      const point = {
+        measurement: this.readToken(', \n', ', '),
+        tags: {},
+        fields: {},
+      };
+      if (!point.measurement) {
+        throw this.error('missing measurement');
+      }
+      while (text[this.pos] === ',') {
+        this.pos += 1;
+        const key = this.readToken('=, \n', ',= ');
+        if (!key) {
+          throw this.error('missing tag key');
+        }
+        if (text[this.pos] !== '=') {
+          throw this.error('missing tag value');
+        }
+        this.pos += 1;
+        const value = this.readToken('=, \n', ',= ');
+        if (!value) {
+          throw this.error('missing tag value');
+        }
+        point.tags[key] = value;
+      }
+      if (text[this.pos] !== ' ') {
+        throw this.error('missing fields');
+      }
+      this.skipSpaces();
+      let more = true;
+      while (more) {
+        const key = this.readToken('=, \n', ',= ');
+        if (!key) {
+          throw this.error('missing field key');
+        }
+        if (text[this.pos] !== '=') {
+          throw this.error('missing field value');
+        }
+        this.pos += 1;
+        point.fields[key] = this.readFieldValue();
+        more = text[this.pos] === ',';
+        if (more) {
+          this.pos += 1;
+        }
+      }
+      this.skipSpaces();
+      const start = this.pos;
+      const time = this.readToken(' \t\r\n', '');
+      if (time) {
+        if (!/^-?\d+$/.test(time)) {
+          throw this.error('invalid timestamp', start);
+        }
+        point.time = time;
+      }
+      this.skipSpaces();
+      this.skipCarriageReturn();
+      if (this.pos < text.length && text[this.pos] !== '\n') {
+        throw this.error('unexpected character');
+      }
+      this.pos += 1;
+      this.line += 1;
+      this.lineStart = this.pos;
+      return point;
+    }
+    this.pos += 1;
+    this.line += 1;
+    this.lineStart = this.pos;
+    return null;
+  }
+}
+
+/**
+ * [parse parse the line protocol text to points, the blank line and comment line are ignored,
+ * the line ending can be LF or CRLF]
+ * @param  {[type]} text [description]
+ * @return {[type]}      [[{measurement: String, tags: Object, fields: Object, time: String}],
+ * the integer and unsigned field value is {type: 'integer' | 'unsigned', value: Number | String}]
+ */
+function parse(text) {
+  const state = new ParseState(String(text));
+  const points = [];
+  while (state.pos < state.text.length) {
+    const point = state.parsePoint();
+    if (point) {
+      points.push(point);
+    }
+  }
+  return points;
+}
+
+/**
+ * [createParseStream create the transform stream which parses the line protocol text to points]
+ * @return {[type]} [description]
+ */
+function createParseStream() {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let line = 1;
+  // only the complete lines are parsed, the rest is kept in the buffer
+  const parseBuffer = (transform, final) => {
+    const end = final ? buffer.length : buffer.lastIndexOf('\n') + 1;
+    const state = new ParseState(buffer.substring(0, end), line);
+    let pos = 0;
+    try {
+      while (state.pos < state.text.length) {
+        const point = state.parsePoint();
+        pos = state.pos;
+        line = state.line;
+        if (point) {
+          transform.push(point);
+        }
+      }
+    } catch (err) {
+      // the string field value may be continued in the next chunk
+      if (!err.incomplete || final) {
+        throw err;
+      }
+    }
+    buffer = buffer.substring(pos);
+  };
+  return new stream.Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, cb) {
+      buffer += decoder.write(chunk);
+      try {
+        parseBuffer(this, false);
+      } catch (err) {
+        cb(err);
+        return;
+      }
+      cb();
+    },
+    flush(cb) {
+      buffer += decoder.end();
+      try {
+        parseBuffer(this, true);
+      } catch (err) {
+        cb(err);
+        return;
+      }
+      cb();
+    },
+  });
+}
+
+exports.escapeMeasurement = escapeMeasurement;
+exports.escapeKey = escapeKey;
+exports.escapeString = escapeString;
+exports.isBigInt = isBigInt;
+exports.isTyped = isTyped;
+exports.typed = typed;
+exports.normalizeFieldValue = normalizeFieldValue;
+exports.getFieldType = getFieldType;
+exports.formatFieldValue = formatFieldValue;
+exports.format = format;
+exports.parse = parse;
+exports.createParseStream = createParseStream;
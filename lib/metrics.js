@@ -0,0 +1,296 @@
+'use strict';
+
+const _ = require('lodash');
+
+const internal = require('./internal');
+const debug = require('./debug');
+
+// get the value of the percentile from the sorted values(nearest rank)
+function getPercentile(sortedValues, percentile) {
+  const rank = Math.ceil((percentile / 100) * sortedValues.length);
+  return sortedValues[Math.max(rank - 1, 0)];
+}
+
+// reset the values of histogram for the next interval
+function reset(internalData) {
+  _.extend(internalData, {
+    count: 0,
+    sum: 0,
+    min: Infinity,
+    max: -Infinity,
+    samples: [],
+  });
+}
+
+// the field name of the percentile, eg: p99.9 -> p99_9
+function getPercentileField(percentile) {
+  return `p${percentile}`.replace('.', '_');
+}
+
+/**
+ * Counter of the metrics, the count of each interval is written as the `count` field
+ * @example
+ * const counter = client.counter('http.requests', {
+ *   method: 'GET',
+ * });
+ * counter.inc();
+ */
+class Counter {
+  constructor() {
+    internal(this).count = 0;
+    internal(this).updated = false;
+  }
+  /**
+   * Increment the counter
+   * @param  {Number} value - [optional] The increment, default is 1
+   * @return {Counter}
+   * @since 2.5.0
+   * @example
+   * client.counter('http.bytes').inc(1024);
+   */
+  inc(value) {
+    const internalData = internal(this);
+    internalData.count += _.isUndefined(value) ? 1 : value;
+    internalData.updated = true;
+    return this;
+  }
+  /**
+   * Get the count of current interval
+   * @return {Number}
+   * @since 2.5.0
+   */
+  get value() {
+    return internal(this).count;
+  }
+  collect() {
+    const internalData = internal(this);
+    if (!internalData.updated) {
+      return null;
+    }
+    const fields = {
+      count: internalData.count,
+    };
+    internalData.count = 0;
+    internalData.updated = false;
+    return fields;
+  }
+}
+
+/**
+ * Gauge of the metrics, the last value is written as the `value` field of each interval
+ * @example
+ * client.gauge('queue.length').set(10);
+ */
+class Gauge {
+  constructor() {
+    internal(this).value = null;
+  }
+  /**
+   * Set the value of gauge
+   * @param  {Number} value - The value
+   * @return {Gauge}
+   * @since 2.5.0
+   * @example
+   * client.gauge('http.connections').set(100);
+   */
+  set(value) {
+    internal(this).value = value;
+    return this;
+  }
+  /**
+   * Increment the value of gauge
+   * @param  {Number} value - [optional] The increment, default is 1
+   * @return {Gauge}
+   * @since 2.5.0
+   * @example
+   * client.gauge('http.processing').inc();
+   */
+  inc(value) {
+    const internalData = internal(this);
+    internalData.value = (internalData.value || 0) + (_.isUndefined(value) ? 1 : value);
+    return this;
+  }
+  /**
+   * Decrement the value of gauge
+   * @param  {Number} value - [optional] The decrement, default is 1
+   * @return {Gauge}
+   * @since 2.5.0
+   * @example
+   * client.gauge('http.processing').dec();
+   */
+  dec(value) {
+    return this.inc(-(_.isUndefined(value) ? 1 : value));
+  }
+  /**
+   * Get the value of gauge
+   * @return {Number}
+   * @since 2.5.0
+   */
+  get value() {
+    return internal(this).value;
+  }
+  collect() {
+    const value = internal(this).value;
+    if (_.isNull(value)) {
+      return null;
+    }
+    return {
+      value,
+    };
+  }
+}
+
+/**
+ * Histogram of the metrics, the values of each interval are written as the fields
+ * `count`, `sum`, `min`, `max`, `mean` and the percentiles(eg: `p50`, `p99_9`).
+ * The percentiles are computed from the reservoir samples(at most maxSamples) of the interval
+ * @example
+ * client.histogram('http.use').record(30);
+ */
+class Histogram {
+  constructor(options) {
+    const internalData = internal(this);
+    internalData.percentiles = options.percentiles;
+    internalData.maxSamples = options.maxSamples;
+    reset(internalData);
+  }
+  /**
+   * Record the value
+   * @param  {Number} value - The value
+   * @return {Histogram}
+   * @since 2.5.0
+   * @example
+   * const start = Date.now();
+   * // do something
+   * client.histogram('http.use').record(Date.now() - start);
+   */
+  record(value) {
+    const internalData = internal(this);
+    internalData.count += 1;
+    internalData.sum += value;
+    internalData.min = Math.min(internalData.min, value);
+    internalData.max = Math.max(internalData.max, value);
+    const samples = internalData.samples;
+    if (samples.length < internalData.maxSamples) {
+      samples.push(value);
+      return this;
+    }
+    // the reservoir sampling, every value is kept with the same probability
+    const index = _.random(0, internalData.count - 1);
+    if (index < samples.length) {
+      samples[index] = value;
+    }
+    return this;
+  }
+  /**
+   * Get the count of the values of current interval
+   * @return {Integer}
+   * @since 2.5.0
+   */
+  get count() {
+    return internal(this).count;
+  }
+  collect() {
+    const internalData = internal(this);
+    const count = internalData.count;
+    if (!count) {
+      return null;
+    }
+    const sortedValues = _.sortBy(internalData.samples);
+    const fields = {
+      count,
+      sum: internalData.sum,
+      min: internalData.min,
+      max: internalData.max,
+      mean: internalData.sum / count,
+    };
+    _.forEach(internalData.percentiles, (percentile) => {
+      fields[getPercentileField(percentile)] = getPercentile(sortedValues, percentile);
+    });
+    reset(internalData);
+    return fields;
+  }
+}
+
+const metricTypes = {
+  counter: Counter,
+  gauge: Gauge,
+  histogram: Histogram,
+};
+
+class Metrics {
+  /**
+   * [constructor the registry of counters, gauges and histograms]
+   * @param  {[type]} options [{
+   *   percentiles: Array, // the percentiles of histograms, default is [50, 90, 99]
+   *   maxSamples: Integer, // the max samples of each histogram for the percentiles, default is 1028
+   * }]
+   * @return {[type]}         [description]
+   */
+  constructor(options) {
+    const internalData = internal(this);
+    internalData.opts = _.extend({
+      percentiles: [50, 90, 99],
+      maxSamples: 1028,
+    }, options);
+    internalData.metrics = new Map();
+  }
+
+  /**
+   * [get get the metric of the type, name and tags, it's created if not exists]
+   * @param  {[type]} type    [counter, gauge or histogram]
+   * @param  {[type]} name    [the measurement of the metric]
+   * @param  {[type]} tags    [the tags of the metric]
+   * @param  {[type]} options [{percentiles: Array, maxSamples: Integer} for histogram]
+   * @return {[type]}         [description]
+   */
+  get(type, name, tags, options) {
+    const Metric = metricTypes[type];
+    /* istanbul ignore if */
+    if (!Metric) {
+      throw new Error(`the metric type ${type} is not supported`);
+    }
+    /* istanbul ignore if */
+    if (!name) {
+      throw new Error('the name of metric can not be null');
+    }
+    const metrics = internal(this).metrics;
+    const key = JSON.stringify([type, name, _.sortBy(_.toPairs(tags), 0)]);
+    let item = metrics.get(key);
+    if (!item) {
+      const opts = internal(this).opts;
+      item = {
+        name,
+        tags: _.extend({}, tags),
+        metric: new Metric({
+          percentiles: _.get(options, 'percentiles') || opts.percentiles,
+          maxSamples: _.get(options, 'maxSamples') || opts.maxSamples,
+        }),
+      };
+      metrics.set(key, item);
+    }
+    return item.metric;
+  }
+
+  /**
+   * [collect collect the summary points of the metrics, the counters and histograms are reset]
+   * @return {[type]} [[{measurement: String, tags: Object, fields: Object}]]
+   */
+  collect() {
+    const points = [];
+    internal(this).metrics.forEach((item) => {
+      const fields = item.metric.collect();
+      if (fields) {
+        points.push({
+          measurement: item.name,
+          tags: item.tags,
+          fields,
+        });
+      }
+    });
+    debug('collect %d metric points', points.length);
+    return points;
+  }
+}
+
+module.exports = Metrics;
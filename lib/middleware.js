@@ -0,0 +1,164 @@
+'use strict';
+
+const _ = require('lodash');
+
+const debug = require('./debug');
+const lineProtocol = require('./line-protocol');
+
+// the path segment of id, eg: 123, 5b1f8ac2d5e9c1b4c8e4f1a2, 550e8400-e29b-41d4-a716-446655440000
+const idReg = /^(\d+|[0-9a-f]{16,}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * [normalizePath remove the query string and replace the id segments of the path with ':id',
+ * the other segments are kept, so it's only used if the normalizePath option is set]
+ * @param  {[type]} url [description]
+ * @return {[type]}     [description]
+ */
+function normalizePath(url) {
+  const pathname = (url || '/').split('?')[0];
+  return _.map(pathname.split('/'), segment => (idReg.test(segment) ? ':id' : segment)).join('/');
+}
+
+function getOptions(options) {
+  return _.extend({
+    measurement: 'http',
+    buckets: [100, 300, 1000, 3000],
+    sampleRate: 1,
+    normalizePath: false,
+    tags: null,
+    fields: null,
+  }, options);
+}
+
+// call the extractors {name: Function} by the call function, the nil values are omitted
+function extract(extractors, call) {
+  const result = {};
+  _.forEach(extractors, (fn, name) => {
+    const value = call(fn);
+    if (!_.isNil(value)) {
+      result[name] = value;
+    }
+  });
+  return result;
+}
+
+// start the timer of the request, return null if the request is not sampled
+function startTimer(client, opts) {
+  if (opts.sampleRate < 1 && Math.random() >= opts.sampleRate) {
+    return null;
+  }
+  return client.timer(opts.measurement);
+}
+
+// end the timer with the stats {method, code, route, bytes, url} of the request,
+// the call function calls the extractor with (req, res) of express or (ctx) of koa
+function writeStats(timer, opts, stats, call) {
+  const use = timer.elapsed;
+  const tags = {
+    spdy: _.sortedIndex(opts.buckets, use),
+    type: Math.floor(stats.code / 100),
+    method: stats.method,
+  };
+  if (stats.route) {
+    tags.route = stats.route;
+  }
+  const fields = {
+    code: lineProtocol.typed('integer', stats.code),
+    url: stats.url,
+  };
+  const bytes = parseInt(stats.bytes, 10);
+  if (!_.isNaN(bytes)) {
+    fields.bytes = lineProtocol.typed('integer', bytes);
+  }
+  timer.end(_.extend(fields, extract(opts.fields, call)), _.extend(tags, extract(opts.tags, call)));
+}
+
+// the error of http stats(eg: the write queue is full) should not affect the request
+function endTimer(timer, opts, getStats, call) {
+  try {
+    writeStats(timer, opts, getStats(), call);
+  } catch (err) {
+    debug('write http stats fail:%s', err.message);
+  }
+}
+
+// get the route of the request, the route option can be false or the function get the route,
+// the request without matched route is 'unmatched'(eg: 404 of scanners), so the url will not be an unbounded tag
+function getRoute(opts, defaultRoute, url, call) {
+  if (opts.route === false) {
+    return '';
+  }
+  if (_.isFunction(opts.route)) {
+    return call(opts.route);
+  }
+  if (defaultRoute) {
+    return defaultRoute;
+  }
+  return opts.normalizePath ? normalizePath(url) : 'unmatched';
+}
+
+/**
+ * [express create the express middleware of http stats]
+ * @param  {[type]} client  [the client instance]
+ * @param  {[type]} options [see client.expressMiddleware]
+ * @return {[type]}         [function(req, res, next)]
+ */
+function express(client, options) {
+  const opts = getOptions(options);
+  return (req, res, next) => {
+    const timer = startTimer(client, opts);
+    if (!timer) {
+      next();
+      return;
+    }
+    res.once('finish', () => {
+      const call = fn => fn(req, res);
+      const url = req.originalUrl || req.url;
+      const route = req.route && `${req.baseUrl || ''}${req.route.path}`;
+      endTimer(timer, opts, () => ({
+        method: req.method,
+        code: res.statusCode,
+        route: getRoute(opts, route, url, call),
+        bytes: res.getHeader('Content-Length'),
+        url,
+      }), call);
+    });
+    next();
+  };
+}
+
+/**
+ * [koa create the koa(2.x) middleware of http stats]
+ * @param  {[type]} client  [the client instance]
+ * @param  {[type]} options [see client.koaMiddleware]
+ * @return {[type]}         [function(ctx, next)]
+ */
+function koa(client, options) {
+  const opts = getOptions(options);
+  return (ctx, next) => {
+    const timer = startTimer(client, opts);
+    if (!timer) {
+      return next();
+    }
+    const done = (code) => {
+      const call = fn => fn(ctx);
+      // the matched route of koa-router
+      const route = _.get(ctx, '_matchedRoute');
+      endTimer(timer, opts, () => ({
+        method: ctx.method,
+        code,
+        route: getRoute(opts, route, ctx.originalUrl, call),
+        bytes: ctx.length,
+        url: ctx.originalUrl,
+      }), call);
+    };
+    return next().then(() => done(ctx.status), (err) => {
+      done(err.status || 500);
+      throw err;
+    });
+  };
+}
+
+exports.normalizePath = normalizePath;
+exports.express = express;
+exports.koa = koa;
@@ -0,0 +1,100 @@
+'use strict';
+
+const _ = require('lodash');
+
+const debug = require('./debug');
+const util = require('./util');
+
+const defaults = {
+  maxAttempts: 3,
+  baseDelay: 100,
+  maxDelay: 10 * 1000,
+  jitter: true,
+  statusCodes: [500, 502, 503, 504],
+  errorCodes: [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'EAI_AGAIN',
+  ],
+};
+
+/**
+ * [getPolicy merge the retry policy with the defaults]
+ * @param  {[type]} policy [description]
+ * @return {[type]}        [description]
+ */
+function getPolicy(policy) {
+  if (!policy) {
+    return null;
+  }
+  return _.extend({}, defaults, policy);
+}
+
+/**
+ * [getDelay get the delay ms before the next attempt, exponential backoff with full jitter]
+ * @param  {[type]} policy  [description]
+ * @param  {[type]} attempt [the count of attempts have been done]
+ * @return {[type]}         [description]
+ */
+function getDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  if (!policy.jitter) {
+    return delay;
+  }
+  return _.random(0, delay);
+}
+
+/**
+ * [isRetryable check the error should be retried]
+ * @param  {[type]}  policy [description]
+ * @param  {[type]}  err    [description]
+ * @param  {[type]}  write  [the write request will never be retried for 4xx]
+ * @return {Boolean}        [description]
+ */
+function isRetryable(policy, err, write) {
+  if (write && util.isClientError(err)) {
+    return false;
+  }
+  const status = _.get(err, 'status');
+  if (status) {
+    return _.includes(policy.statusCodes, status);
+  }
+  return _.includes(policy.errorCodes, _.get(err, 'code'));
+}
+
+/**
+ * [retry call the fn until it's success or not retryable]
+ * @param  {[type]}   policy [description]
+ * @param  {Function} fn     [the function return promise]
+ * @param  {[type]}   write  [description]
+ * @return {[type]}          [description]
+ */
+function retry(policy, fn, write) {
+  let attempts = 0;
+  const attempt = () => {
+    attempts += 1;
+    return Promise.resolve().then(fn).catch((err) => {
+      if (attempts >= policy.maxAttempts || !isRetryable(policy, err, write)) {
+        // the final error is wrapped with the attempts count
+        throw util.wrapError(err, {
+          attempts,
+        });
+      }
+      const delay = getDelay(policy, attempts);
+      debug('retry attempt:%d, delay:%d, error:%s', attempts, delay, err.message);
+      return new Promise(resolve => setTimeout(resolve, delay)).then(attempt);
+    });
+  };
+  return attempt();
+}
+
+exports.defaults = defaults;
+exports.getPolicy = getPolicy;
+exports.getDelay = getDelay;
+exports.isRetryable = isRetryable;
+exports.retry = retry;
@@ -0,0 +1,254 @@
+'use strict';
+
+const Module = require('module');
+const _ = require('lodash');
+
+const internal = require('./internal');
+const debug = require('./debug');
+const lineProtocol = require('./line-protocol');
+
+// perf_hooks is not supported by old node
+const perfHooks = _.includes(Module.builtinModules, 'perf_hooks') ? require('perf_hooks') : null;
+
+// the field types of the runtime metrics
+const fieldTypes = {
+  eventLoopLag: 'float',
+  eventLoopLagMax: 'float',
+  heapUsed: 'integer',
+  heapTotal: 'integer',
+  external: 'integer',
+  rss: 'integer',
+  gcCount: 'integer',
+  gcPause: 'float',
+  activeHandles: 'integer',
+  activeRequests: 'integer',
+  cpuUser: 'float',
+  cpuSystem: 'float',
+  cpuUsage: 'float',
+};
+
+function hrtimeToMs(arr) {
+  return (arr[0] * 1000) + (arr[1] / 1e6);
+}
+
+// the count of active handles and requests, they are omitted if getActiveResourcesInfo is not supported
+function getActiveResources() {
+  /* istanbul ignore if */
+  if (!_.isFunction(process.getActiveResourcesInfo)) {
+    return null;
+  }
+  const resources = process.getActiveResourcesInfo();
+  const requests = _.filter(resources, type => /Req(Wrap)?$/.test(type)).length;
+  return {
+    activeHandles: resources.length - requests,
+    activeRequests: requests,
+  };
+}
+
+// create the event loop lag sampler, monitorEventLoopDelay is used if it's supported,
+// otherwise the lag is the delay of the timer
+function createLagSampler(resolution) {
+  /* istanbul ignore else */
+  if (perfHooks && _.isFunction(perfHooks.monitorEventLoopDelay)) {
+    const histogram = perfHooks.monitorEventLoopDelay({
+      resolution,
+    });
+    histogram.enable();
+    return {
+      collect() {
+        const result = histogram.count ? {
+          eventLoopLag: histogram.mean / 1e6,
+          eventLoopLagMax: histogram.max / 1e6,
+        } : null;
+        histogram.reset();
+        return result;
+      },
+      stop() {
+        histogram.disable();
+      },
+    };
+  }
+  /* istanbul ignore next */
+  return (() => {
+    const lags = [];
+    let start = process.hrtime();
+    const timer = setInterval(() => {
+      lags.push(Math.max(hrtimeToMs(process.hrtime(start)) - resolution, 0));
+      start = process.hrtime();
+    }, resolution);
+    timer.unref();
+    return {
+      collect() {
+        if (!lags.length) {
+          return null;
+        }
+        const result = {
+          eventLoopLag: _.mean(lags),
+          eventLoopLagMax: _.max(lags),
+        };
+        lags.length = 0;
+        return result;
+      },
+      stop() {
+        clearInterval(timer);
+      },
+    };
+  })();
+}
+
+// create the gc observer, it's null if the gc performance entry is not supported
+function createGCObserver() {
+  /* istanbul ignore if */
+  if (!perfHooks || !perfHooks.PerformanceObserver) {
+    return null;
+  }
+  const stats = {
+    gcCount: 0,
+    gcPause: 0,
+  };
+  const observer = new perfHooks.PerformanceObserver((list) => {
+    _.forEach(list.getEntries(), (entry) => {
+      stats.gcCount += 1;
+      stats.gcPause += entry.duration;
+    });
+  });
+  try {
+    observer.observe({
+      entryTypes: ['gc'],
+    });
+  } catch (err) {
+    /* istanbul ignore next */
+    return null;
+  }
+  return {
+    collect() {
+      const result = _.clone(stats);
+      stats.gcCount = 0;
+      stats.gcPause = 0;
+      return result;
+    },
+    stop() {
+      observer.disconnect();
+    },
+  };
+}
+
+class RuntimeCollector {
+  /**
+   * [constructor the collector of node runtime metrics]
+   * @param  {[type]} client  [the client instance]
+   * @param  {[type]} options [{
+   *   interval: Integer, // the interval ms of collecting, default is 10000
+   *   measurement: String, // the measurement name, default is 'nodejs'
+   *   tags: Object, // the tags of the points
+   *   lagResolution: Integer, // the sample ms of event loop lag, default is 10
+   * }]
+   * @return {[type]}         [description]
+   */
+  constructor(client, options) {
+    const internalData = internal(this);
+    internalData.client = client;
+    internalData.opts = _.extend({
+      interval: 10 * 1000,
+      measurement: 'nodejs',
+      lagResolution: 10,
+    }, options);
+    internalData.timer = null;
+  }
+
+  /**
+   * [running the collector is running]
+   * @return {[type]} [description]
+   */
+  get running() {
+    return !_.isNull(internal(this).timer);
+  }
+
+  /**
+   * [start start collecting, the point is queued every interval]
+   * @return {[type]} [description]
+   */
+  start() {
+    const internalData = internal(this);
+    if (internalData.timer) {
+      return this;
+    }
+    internalData.lagSampler = createLagSampler(internalData.opts.lagResolution);
+    internalData.gcObserver = createGCObserver();
+    internalData.lastTime = process.hrtime();
+    internalData.lastCPU = _.isFunction(process.cpuUsage) ? process.cpuUsage() : null;
+    internalData.timer = setInterval(() => this.queue(), internalData.opts.interval);
+    internalData.timer.unref();
+    return this;
+  }
+
+  /**
+   * [collect get the fields of the runtime metrics since the last collect]
+   * @return {[type]} [description]
+   */
+  collect() {
+    const internalData = internal(this);
+    const fields = _.pick(process.memoryUsage(), ['heapUsed', 'heapTotal', 'external', 'rss']);
+    _.extend(fields, getActiveResources());
+    if (internalData.lagSampler) {
+      _.extend(fields, internalData.lagSampler.collect());
+    }
+    if (internalData.gcObserver) {
+      _.extend(fields, internalData.gcObserver.collect());
+    }
+    const elapsed = hrtimeToMs(process.hrtime(internalData.lastTime || process.hrtime()));
+    internalData.lastTime = process.hrtime();
+    if (internalData.lastCPU) {
+      const cpu = process.cpuUsage(internalData.lastCPU);
+      internalData.lastCPU = process.cpuUsage();
+      fields.cpuUser = cpu.user / 1000;
+      fields.cpuSystem = cpu.system / 1000;
+      if (elapsed) {
+        fields.cpuUsage = ((fields.cpuUser + fields.cpuSystem) / elapsed) * 100;
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * [queue collect the runtime metrics and add the point to the write queue of client,
+   * the fields are typed values, the schema of the measurement can still convert them]
+   * @return {[type]} [description]
+   */
+  queue() {
+    const internalData = internal(this);
+    const opts = internalData.opts;
+    try {
+      const fields = _.mapValues(this.collect(), (value, key) => lineProtocol.typed(fieldTypes[key], value));
+      internalData.client.write(opts.measurement)
+        .tag(_.extend({}, opts.tags))
+        .field(fields)
+        .queue();
+    } catch (err) {
+      debug('queue runtime metrics fail:%s', err.message);
+    }
+    return this;
+  }
+
+  /**
+   * [stop stop collecting]
+   * @return {[type]} [description]
+   */
+  stop() {
+    const internalData = internal(this);
+    if (!internalData.timer) {
+      return this;
+    }
+    clearInterval(internalData.timer);
+    internalData.timer = null;
+    _.forEach(['lagSampler', 'gcObserver'], (key) => {
+      if (internalData[key]) {
+        internalData[key].stop();
+        internalData[key] = null;
+      }
+    });
+    return this;
+  }
+}
+
+module.exports = RuntimeCollector;
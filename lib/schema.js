@@ -2,6 +2,19 @@
 
 const _ = require('lodash');
 
+const lineProtocol = require('./line-protocol');
+
+// convert the value to integer, the integer beyond the safe range is kept as string
+function toInteger(value) {
+  const str = `${value}`;
+  if (/^-?\d+$/.test(str)) {
+    const v = parseInt(str, 10);
+    return Number.isSafeInteger(v) ? v : str.replace(/^(-?)0+(?=\d)/, '$1');
+  }
+  const v = parseInt(value, 10);
+  return _.isNaN(v) ? null : v;
+}
+
 const map = new Map();
 
 exports.set = function set(name, fieldSchema, tagSchema, options) {
@@ -26,8 +39,9 @@ exports.get = function get(name) {
 };
 
 // influxdb data-types
-// Integers - append an i to the field value to tell InfluxDB to store the number as an integer. Store the field value 82 as an integer:
-// t, T, true, True, or TRUE. Specify FALSE with f, F, false
+// Integers - the value is converted to typed value {type: 'integer', value: 82}, it will be written as 82i
+// Unsigned integers - the value is converted to typed value {type: 'unsigned', value: 82}, it will be written as 82u
+// t, T, true, True, or TRUE. Specify FALSE with f, F, false, the value is converted to boolean
 exports.validateFields = function validateFields(name, data) {
   const schema = exports.get(name);
   if (!schema) {
@@ -37,12 +51,15 @@ exports.validateFields = function validateFields(name, data) {
   const options = schema.options || {};
   const stripUnknown = options.stripUnknown;
   const result = {};
-  const booleanList = 't T true True TRUE FALSE f F false'.split(' ');
-  _.forEach(data, (value, key) => {
+  const trueList = 't T true True TRUE'.split(' ');
+  const falseList = 'f F false False FALSE'.split(' ');
+  _.forEach(data, (item, key) => {
     const type = definition[key];
     if (stripUnknown && !type) {
       return;
     }
+    // the typed value is converted by the schema type
+    const value = type && lineProtocol.isTyped(item) ? item.value : item;
     switch (type) {
       case 'float': {
         const v = parseFloat(value);
@@ -52,21 +69,25 @@ exports.validateFields = function validateFields(name, data) {
         result[key] = v;
         break;
       }
-      case 'integer': {
-        const v = parseInt(value, 10);
-        if (_.isNaN(v)) {
+      case 'integer':
+      case 'unsigned': {
+        const v = toInteger(value);
+        if (_.isNull(v) || (type === 'unsigned' && `${v}`[0] === '-')) {
           break;
         }
-        result[key] = `${v}i`;
+        result[key] = {
+          type,
+          value: v,
+        };
         break;
       }
       case 'boolean': {
-        if (_.includes(booleanList, value)) {
-          result[key] = value;
-        } else if (value) {
-          result[key] = 'T';
+        if (_.includes(trueList, value)) {
+          result[key] = true;
+        } else if (_.includes(falseList, value)) {
+          result[key] = false;
         } else {
-          result[key] = 'F';
+          result[key] = !!value;
         }
         break;
       }
@@ -75,7 +96,7 @@ exports.validateFields = function validateFields(name, data) {
         break;
       }
       default: {
-        result[key] = value;
+        result[key] = item;
         break;
       }
     }
@@ -0,0 +1,236 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+const internal = require('./internal');
+const debug = require('./debug');
+
+const ext = '.spool';
+
+function getSegmentFile(dir, seq) {
+  return path.join(dir, `${_.padStart(seq, 12, '0')}${ext}`);
+}
+
+// create the directory and its parents, the recursive option of mkdir is not supported before node 10
+function makeDirectory(dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      makeDirectory(path.dirname(dir));
+      makeDirectory(dir);
+      return;
+    }
+    /* istanbul ignore if */
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  }
+}
+
+// read the segment file, the missing file (consumed by other client or cleaned) is treated as empty
+function readSegment(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return '';
+    }
+    throw err;
+  }
+}
+
+function removeSegment(file) {
+  try {
+    fs.unlinkSync(file);
+  } catch (err) {
+    /* istanbul ignore if */
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+}
+
+function countLines(file) {
+  return _.compact(readSegment(file).split('\n')).length;
+}
+
+// parse the lines of the segment, the corrupt lines (half-written during a crash) are skipped
+function parseSegment(content) {
+  const result = {
+    points: [],
+    corrupted: {
+      count: 0,
+      bytes: 0,
+    },
+  };
+  _.forEach(_.compact(content.split('\n')), (line) => {
+    try {
+      result.points.push(JSON.parse(line));
+    } catch (err) {
+      result.corrupted.count += 1;
+      result.corrupted.bytes += Buffer.byteLength(line) + 1;
+    }
+  });
+  return result;
+}
+
+class Spool {
+  /**
+   * [constructor the disk spool of unsent points]
+   * @param  {[type]} options [{
+   *   path: String, // the spool directory, it is created with the parent directories if not exists
+   *   maxSize: Integer, // the max bytes of all segments, default is 100MB
+   *   segmentSize: Integer, // the max bytes of one segment, default is 1MB
+   *   evict: String, // 'oldest' or 'newest', default is 'oldest'
+   * }]
+   * @return {[type]}         [description]
+   */
+  constructor(options) {
+    /* istanbul ignore if */
+    if (!options || !options.path) {
+      throw new Error('spool path can not be null');
+    }
+    const internalData = internal(this);
+    const opts = _.extend({
+      maxSize: 100 * 1024 * 1024,
+      segmentSize: 1024 * 1024,
+      evict: 'oldest',
+    }, options);
+    internalData.opts = opts;
+    makeDirectory(path.resolve(opts.path));
+    const segments = _.map(_.filter(fs.readdirSync(opts.path), file => path.extname(file) === ext), (file) => {
+      const seq = parseInt(path.basename(file, ext), 10);
+      const size = fs.statSync(path.join(opts.path, file)).size;
+      return {
+        seq,
+        size,
+      };
+    });
+    internalData.segments = _.sortBy(segments, 'seq');
+    debug('spool segments:%j', internalData.segments);
+  }
+
+  /**
+   * [size get the bytes of all segments]
+   * @return {[type]} [description]
+   */
+  get size() {
+    return _.sumBy(internal(this).segments, 'size');
+  }
+
+  /**
+   * [length get the count of segments]
+   * @return {[type]} [description]
+   */
+  get length() {
+    return internal(this).segments.length;
+  }
+
+  /**
+   * [append append the points to the newest segment]
+   * @param  {[type]} points [description]
+   * @return {[type]}        [{
+   *   count: Integer, // the count of spooled points
+   *   bytes: Integer, // the bytes of spooled points
+   *   evicted: {count: Integer, bytes: Integer}, // the points dropped because of the max size
+   * }]
+   */
+  append(points) {
+    const internalData = internal(this);
+    const opts = internalData.opts;
+    const segments = internalData.segments;
+    const data = _.map(points, point => `${JSON.stringify(point)}\n`).join('');
+    const bytes = Buffer.byteLength(data);
+    const result = {
+      count: points.length,
+      bytes,
+      evicted: {
+        count: 0,
+        bytes: 0,
+      },
+    };
+    const exceeded = this.size + bytes > opts.maxSize;
+    if (bytes > opts.maxSize || (exceeded && opts.evict === 'newest')) {
+      result.evicted.count = points.length;
+      result.evicted.bytes = bytes;
+      result.count = 0;
+      result.bytes = 0;
+      return result;
+    }
+    while (segments.length && this.size + bytes > opts.maxSize) {
+      const segment = segments.shift();
+      const file = getSegmentFile(opts.path, segment.seq);
+      result.evicted.count += countLines(file);
+      result.evicted.bytes += segment.size;
+      removeSegment(file);
+    }
+    let segment = _.last(segments);
+    if (!segment || segment.closed || segment.size >= opts.segmentSize) {
+      segment = {
+        seq: segment ? segment.seq + 1 : 1,
+        size: 0,
+      };
+      segments.push(segment);
+    }
+    fs.appendFileSync(getSegmentFile(opts.path, segment.seq), data);
+    segment.size += bytes;
+    return result;
+  }
+
+  /**
+   * [peek get the points of the oldest segment, the segment will not be appended anymore.
+   * The missing segment is treated as consumed and removed, the corrupt lines are dropped from the segment]
+   * @return {[type]} [{
+   *   seq: Integer,
+   *   size: Integer,
+   *   points: Array,
+   *   corrupted: {count: Integer, bytes: Integer}, // the skipped lines
+   * }]
+   */
+  peek() {
+    const internalData = internal(this);
+    const segments = internalData.segments;
+    while (segments.length) {
+      const segment = _.first(segments);
+      segment.closed = true;
+      const file = getSegmentFile(internalData.opts.path, segment.seq);
+      if (fs.existsSync(file)) {
+        const result = parseSegment(readSegment(file));
+        // rewrite the segment without the corrupt lines, so they are reported only once
+        if (result.corrupted.count) {
+          fs.writeFileSync(file, _.map(result.points, point => `${JSON.stringify(point)}\n`).join(''));
+          segment.size -= result.corrupted.bytes;
+        }
+        return _.extend({
+          seq: segment.seq,
+          size: segment.size,
+        }, result);
+      }
+      debug('spool segment %d is consumed', segment.seq);
+      segments.shift();
+    }
+    return null;
+  }
+
+  /**
+   * [remove remove the segment]
+   * @param  {[type]} seq [description]
+   * @return {[type]}     [description]
+   */
+  remove(seq) {
+    const internalData = internal(this);
+    const segments = internalData.segments;
+    const index = _.findIndex(segments, item => item.seq === seq);
+    /* istanbul ignore if */
+    if (index === -1) {
+      return;
+    }
+    segments.splice(index, 1);
+    removeSegment(getSegmentFile(internalData.opts.path, seq));
+  }
+}
+
+module.exports = Spool;
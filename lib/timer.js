@@ -0,0 +1,175 @@
+'use strict';
+
+const _ = require('lodash');
+
+const debug = require('./debug');
+const internal = require('./internal');
+const lineProtocol = require('./line-protocol');
+
+const units = {
+  s: 1,
+  ms: 1000,
+  us: 1000 * 1000,
+  ns: 1000 * 1000 * 1000,
+};
+
+function isPromise(value) {
+  return value && _.isFunction(value.then);
+}
+
+// the error of queuing the point(eg: the write queue is full) should not affect the wrapped result
+function endTimer(timer, extraFields, extraTags) {
+  try {
+    timer.end(extraFields, extraTags);
+  } catch (err) {
+    debug('end timer fail:%s', err.message);
+  }
+}
+
+/**
+ * Timer of the duration, the duration is queued as the typed field when the timer is ended
+ * @example
+ * const timer = client.timer('http', {
+ *   method: 'GET',
+ * });
+ * // do something
+ * timer.end({
+ *   code: 200,
+ * });
+ */
+class Timer {
+  /**
+   * Create the timer, it's created by client.timer
+   * @param  {Client} client - The client instance
+   * @param  {String} measurement - The measurement name
+   * @param  {Object} tags - [optional] The tags of the point
+   * @param  {Object} options - [optional] The timer options {field: String, unit: String}
+   * @return {Timer}
+   * @since 2.5.0
+   */
+  constructor(client, measurement, tags, options) {
+    const opts = _.extend({
+      field: 'use',
+      unit: 'ms',
+    }, options);
+    /* istanbul ignore if */
+    if (!units[opts.unit]) {
+      throw new Error(`the unit ${opts.unit} is not supported`);
+    }
+    const internalData = internal(this);
+    internalData.client = client;
+    internalData.measurement = measurement;
+    internalData.tags = tags;
+    internalData.opts = opts;
+    internalData.start = process.hrtime();
+    internalData.duration = null;
+  }
+  /**
+   * Get the elapsed time in the unit of timer, it's the duration if the timer is ended
+   * @return {Number}
+   * @since 2.5.0
+   * @example
+   * const timer = client.timer('http');
+   * console.info(timer.elapsed);
+   */
+  get elapsed() {
+    const internalData = internal(this);
+    if (!_.isNull(internalData.duration)) {
+      return internalData.duration;
+    }
+    const arr = process.hrtime(internalData.start);
+    const unit = units[internalData.opts.unit];
+    if (unit === units.ns) {
+      return (arr[0] * unit) + arr[1];
+    }
+    return (arr[0] * unit) + (arr[1] / (units.ns / unit));
+  }
+  /**
+   * End the timer and queue the point, the duration is integer for ns unit and float for the other units.
+   * The point is only queued by the first call
+   * @param  {Object} extraFields - [optional] The extra fields of the point
+   * @param  {Object} extraTags - [optional] The extra tags of the point
+   * @return {Number} The duration in the unit of timer
+   * @since 2.5.0
+   * @example
+   * const timer = client.timer('http', {
+   *   method: 'GET',
+   * });
+   * const use = timer.end({
+   *   code: 200,
+   * }, {
+   *   spdy: 'fast',
+   * });
+   * // => http,method=GET,spdy=fast code=200,use=10.123
+   */
+  end(extraFields, extraTags) {
+    const internalData = internal(this);
+    if (!_.isNull(internalData.duration)) {
+      return internalData.duration;
+    }
+    const duration = this.elapsed;
+    internalData.duration = duration;
+    const opts = internalData.opts;
+    const writer = internalData.client.write(internalData.measurement)
+      .tag(_.extend({}, internalData.tags, extraTags))
+      .field(_.extend({}, extraFields))
+      .field(opts.field, lineProtocol.typed(opts.unit === 'ns' ? 'integer' : 'float', duration));
+    writer.queue();
+    return duration;
+  }
+  /**
+   * Wrap the promise or function, the timer is ended when the promise is settled.
+   * For the function, each call is timed by a new timer, and the timer is ended when the function returns,
+   * or the returned promise is settled. The error of queuing the point is ignored(see the debug log),
+   * the result or error of the target is passed through
+   * @param  {Promise | Function} target - The promise or function(async function)
+   * @param  {Object} extraFields - [optional] The extra fields of the point
+   * @param  {Object} extraTags - [optional] The extra tags of the point
+   * @return {Promise | Function} The promise or the wrapped function
+   * @since 2.5.0
+   * @example
+   * client.timer('query', {
+   *   type: 'user',
+   * }).wrap(findUser('vicanso'))
+   *   .then(user => console.info(user));
+   * @example
+   * const findUserTimed = client.timer('query').wrap(findUser, null, {
+   *   type: 'user',
+   * });
+   * findUserTimed('vicanso').then(user => console.info(user));
+   */
+  wrap(target, extraFields, extraTags) {
+    const internalData = internal(this);
+    if (_.isFunction(target)) {
+      const client = internalData.client;
+      const measurement = internalData.measurement;
+      const tags = internalData.tags;
+      const opts = internalData.opts;
+      // _.rest keeps the `this` of the call, and the arguments are passed as array
+      return _.rest(function timedFunction(args) {
+        const timer = new Timer(client, measurement, tags, opts);
+        let result;
+        try {
+          result = target.apply(this, args);
+        } catch (err) {
+          endTimer(timer, extraFields, extraTags);
+          throw err;
+        }
+        if (isPromise(result)) {
+          return timer.wrap(result, extraFields, extraTags);
+        }
+        endTimer(timer, extraFields, extraTags);
+        return result;
+      });
+    }
+    return Promise.resolve(target).then((data) => {
+      endTimer(this, extraFields, extraTags);
+      return data;
+    }, (err) => {
+      endTimer(this, extraFields, extraTags);
+      throw err;
+    });
+  }
+}
+
+module.exports = Timer;
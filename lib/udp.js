@@ -0,0 +1,99 @@
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+const _ = require('lodash');
+
+const internal = require('./internal');
+const debug = require('./debug');
+
+// the bytes of ip(ipv4) and udp header
+const headerSize = 28;
+
+class UDP {
+  /**
+   * [constructor the udp transport of write]
+   * @param  {[type]} servers [[{host: String, port: Integer}]]
+   * @param  {[type]} options [{
+   *   mtu: Integer, // the mtu of the network, the datagram is smaller than mtu, default is 1500
+   *   precision: String, // the precision of the influxdb udp listener, default is ns
+   * }]
+   * @return {[type]}         [description]
+   */
+  constructor(servers, options) {
+    /* istanbul ignore if */
+    if (!servers || !servers.length) {
+      throw new Error('servers cat not be null');
+    }
+    const internalData = internal(this);
+    internalData.servers = servers;
+    internalData.index = 0;
+    internalData.opts = _.extend({
+      mtu: 1500,
+      precision: 'ns',
+    }, options);
+    debug('udp servers:%j', servers);
+  }
+
+  /**
+   * [payloadSize get the max bytes of the datagram payload]
+   * @return {[type]} [description]
+   */
+  get payloadSize() {
+    return internal(this).opts.mtu - headerSize;
+  }
+
+  /**
+   * [precision get the precision of the influxdb udp listener]
+   * @return {[type]} [description]
+   */
+  get precision() {
+    return internal(this).opts.precision;
+  }
+
+  /**
+   * [send send the data to the servers by round robin]
+   * @param  {[type]} data [description]
+   * @return {[type]}      [description]
+   */
+  send(data) {
+    const internalData = internal(this);
+    const servers = internalData.servers;
+    const server = servers[internalData.index % servers.length];
+    internalData.index += 1;
+    const type = net.isIPv6(server.host) ? 'udp6' : 'udp4';
+    if (!internalData[type]) {
+      const socket = dgram.createSocket(type);
+      socket.on('error', err => debug('udp socket error:%s', err.message));
+      // the socket should not keep the process running
+      socket.unref();
+      internalData[type] = socket;
+    }
+    const buf = Buffer.from ? Buffer.from(data) : new Buffer(data);
+    return new Promise((resolve, reject) => {
+      internalData[type].send(buf, 0, buf.length, server.port, server.host, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(buf.length);
+      });
+    });
+  }
+
+  /**
+   * [close close the sockets]
+   * @return {[type]} [description]
+   */
+  close() {
+    const internalData = internal(this);
+    _.forEach(['udp4', 'udp6'], (type) => {
+      if (internalData[type]) {
+        internalData[type].close();
+        internalData[type] = null;
+      }
+    });
+  }
+}
+
+module.exports = UDP;
@@ -2,6 +2,8 @@
 
 const _ = require('lodash');
 
+const lineProtocol = require('./line-protocol');
+
 const now = Date.now();
 const start = process.hrtime();
 const currentSeconds = Math.floor(now / 1000);
@@ -18,9 +20,28 @@ function getError(err) {
   _.forEach(['method', 'path', 'status'], (key) => {
     e[key] = _.get(err, `response.error.${key}`);
   });
+  if (err.attempts) {
+    e.attempts = err.attempts;
+  }
   return e;
 }
 
+// wrap the error with the extra properties, the properties(status, code, result...) of the error are kept
+function wrapError(err, props) {
+  const e = new Error(_.get(err, 'message', String(err)));
+  _.extend(e, err, props);
+  if (err && err.stack) {
+    e.stack = err.stack;
+  }
+  return e;
+}
+
+// the request is wrong(4xx), send it again will not be success
+function isClientError(err) {
+  const status = _.get(err, 'status');
+  return status >= 400 && status < 500;
+}
+
 function toJSON(data) {
   const result = {};
   if (!data || !data.results) {
@@ -141,10 +162,36 @@ function us() {
   return ns().substring(0, 16);
 }
 
+// map the items with the async function, run at most limit functions at the same time
+function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let index = 0;
+  const next = () => {
+    if (index >= items.length) {
+      return Promise.resolve();
+    }
+    const current = index;
+    index += 1;
+    return Promise.resolve(fn(items[current], current)).then((data) => {
+      results[current] = data;
+      return next();
+    });
+  };
+  const workers = _.times(Math.min(limit, items.length), next);
+  return Promise.all(workers).then(() => results);
+}
+
 function getTime(precision) {
   switch (precision) {
+    case 'h':
+      return `${Math.floor(Date.now() / 3600000)}`;
+    case 'm':
+      return `${Math.floor(Date.now() / 60000)}`;
+    case 's':
+      return `${Math.floor(Date.now() / 1000)}`;
     case 'ms':
       return `${Date.now()}`;
+    case 'u':
     case 'us':
       return us();
     default:
@@ -152,9 +199,304 @@ function getTime(precision) {
   }
 }
 
+// the max seconds of nanosecond timestamp(int64)
+const maxSeconds = 9223372035;
+const isoReg = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// get the time {seconds, nanos} from the nanoseconds digits
+function getTimeFromNanoseconds(str) {
+  const negative = str[0] === '-';
+  const digits = _.padStart(negative ? str.substring(1) : str, 10, '0');
+  const seconds = parseInt(digits.substring(0, digits.length - 9), 10);
+  const nanos = parseInt(digits.substring(digits.length - 9), 10);
+  if (!negative) {
+    return {
+      seconds,
+      nanos,
+    };
+  }
+  if (!nanos) {
+    return {
+      seconds: -seconds,
+      nanos: 0,
+    };
+  }
+  return {
+    seconds: -seconds - 1,
+    nanos: oneSecond - nanos,
+  };
+}
+
+// get the time {seconds, nanos} from the ISO-8601 string
+function getTimeFromISOString(str) {
+  const result = isoReg.exec(str);
+  if (!result) {
+    return null;
+  }
+  const fraction = result[3] || '';
+  if (fraction.length > 9) {
+    return null;
+  }
+  let zone = (result[4] || 'Z').toUpperCase();
+  if (zone.length === 5) {
+    zone = `${zone.substring(0, 3)}:${zone.substring(3)}`;
+  }
+  const ms = Date.parse(`${result[1]}T${result[2] || '00:00:00'}${zone}`);
+  if (_.isNaN(ms)) {
+    return null;
+  }
+  return {
+    seconds: ms / 1000,
+    nanos: parseInt(_.padEnd(fraction, 9, '0'), 10),
+  };
+}
+
+/**
+ * [compareTimestamp compare the non-negative integer timestamp strings]
+ * @param  {[type]} a [description]
+ * @param  {[type]} b [description]
+ * @return {[type]}   [description]
+ */
+function compareTimestamp(a, b) {
+  const x = `${a}`;
+  const y = `${b}`;
+  if (x.length !== y.length) {
+    return x.length - y.length;
+  }
+  if (x === y) {
+    return 0;
+  }
+  return x < y ? -1 : 1;
+}
+
+/**
+ * [nextTimestamp get the next timestamp of the non-negative integer timestamp string]
+ * @param  {[type]} str [description]
+ * @return {[type]}     [description]
+ */
+function nextTimestamp(str) {
+  const digits = `${str}`.split('');
+  let index = digits.length - 1;
+  while (index >= 0 && digits[index] === '9') {
+    digits[index] = '0';
+    index -= 1;
+  }
+  if (index < 0) {
+    digits.unshift('1');
+  } else {
+    digits[index] = `${parseInt(digits[index], 10) + 1}`;
+  }
+  return digits.join('');
+}
+
+// get the seconds of the integer timestamp of the precision
+function getSecondsOfInteger(str, precision) {
+  const factor = {
+    h: 3600,
+    m: 60,
+  }[precision];
+  if (factor) {
+    return parseInt(str, 10) * factor;
+  }
+  const zeros = {
+    s: 9,
+    ms: 6,
+    u: 3,
+    us: 3,
+  }[precision] || 0;
+  return getTimeFromNanoseconds(`${str}${_.repeat('0', zeros)}`).seconds;
+}
+
+/**
+ * [parseTimestamp parse the timestamp for the write point]
+ * @param  {[type]} timestamp [the number and integer string are the timestamp of the precision,
+ * the Date, ISO-8601 string and BigInt nanoseconds are converted to {seconds, nanos}]
+ * @param  {[type]} precision [the precision of the number and integer string, the default is ns]
+ * @return {[type]}           [description]
+ */
+function parseTimestamp(timestamp, precision) {
+  let time = null;
+  if (_.isNumber(timestamp) || _.isString(timestamp)) {
+    const str = `${timestamp}`;
+    if (/^-?\d+$/.test(str) && (!_.isNumber(timestamp) || Number.isSafeInteger(timestamp))) {
+      if (Math.abs(getSecondsOfInteger(str, precision)) > maxSeconds) {
+        throw new Error(`timestamp is out of range: ${timestamp}`);
+      }
+      return str;
+    }
+    if (_.isString(timestamp)) {
+      time = getTimeFromISOString(timestamp);
+    }
+  } else if (_.isDate(timestamp)) {
+    const ms = timestamp.getTime();
+    if (!_.isNaN(ms)) {
+      const seconds = Math.floor(ms / 1000);
+      time = {
+        seconds,
+        nanos: (ms - (seconds * 1000)) * 1000 * 1000,
+      };
+    }
+  } else if (lineProtocol.isBigInt(timestamp)) {
+    time = getTimeFromNanoseconds(timestamp.toString());
+  }
+  if (!time) {
+    throw new Error(`timestamp is invalid: ${timestamp}`);
+  }
+  if (Math.abs(time.seconds) > maxSeconds) {
+    throw new Error(`timestamp is out of range: ${timestamp}`);
+  }
+  return time;
+}
+
+/**
+ * [formatTimestamp convert the parsed timestamp to the precision]
+ * @param  {[type]} time      [description]
+ * @param  {[type]} precision [h, m, s, ms, u(us), the default is ns]
+ * @return {[type]}           [description]
+ */
+function formatTimestamp(time, precision) {
+  if (!_.isObject(time)) {
+    return time;
+  }
+  const seconds = time.seconds;
+  const digits = {
+    ms: 3,
+    u: 6,
+    us: 6,
+  }[precision] || 9;
+  switch (precision) {
+    case 'h':
+      return `${Math.floor(seconds / 3600)}`;
+    case 'm':
+      return `${Math.floor(seconds / 60)}`;
+    case 's':
+      return `${seconds}`;
+    default:
+      break;
+  }
+  const unit = Math.pow(10, 9 - digits);
+  const fraction = Math.floor(time.nanos / unit);
+  if (seconds >= 0) {
+    return `${seconds}${_.padStart(fraction, digits, '0')}`.replace(/^0+(?=\d)/, '');
+  }
+  if (!fraction) {
+    return `${seconds}${_.repeat('0', digits)}`;
+  }
+  // seconds * 10^digits + fraction = -((-seconds - 1) * 10^digits + (10^digits - fraction))
+  const str = `${-seconds - 1}${_.padStart(Math.pow(10, digits) - fraction, digits, '0')}`;
+  return `-${str.replace(/^0+(?=\d)/, '')}`;
+}
+
+/**
+ * [convertTimestamp convert the integer timestamp from the precision to another precision]
+ * @param  {[type]} timestamp [description]
+ * @param  {[type]} from      [h, m, s, ms, u(us), the default is ns]
+ * @param  {[type]} to        [h, m, s, ms, u(us), the default is ns]
+ * @return {[type]}           [description]
+ */
+function convertTimestamp(timestamp, from, to) {
+  const normalize = precision => ({
+    n: 'ns',
+    us: 'u',
+  }[precision] || precision || 'ns');
+  const str = `${timestamp}`;
+  if (normalize(from) === normalize(to) || !/^-?\d+$/.test(str)) {
+    return timestamp;
+  }
+  const factor = {
+    h: 3600,
+    m: 60,
+  }[from];
+  if (factor) {
+    return formatTimestamp({
+      seconds: parseInt(str, 10) * factor,
+      nanos: 0,
+    }, to);
+  }
+  const zeros = {
+    s: 9,
+    ms: 6,
+    u: 3,
+  }[normalize(from)] || 0;
+  return formatTimestamp(getTimeFromNanoseconds(`${str}${_.repeat('0', zeros)}`), to);
+}
+
+/**
+ * [flatten flatten the nested object to the keys joined by separator, the typed field value is not flattened]
+ * @param  {[type]} data    [description]
+ * @param  {[type]} options [{
+ *   separator: String, // the separator of keys, default is '.'
+ *   maxDepth: Integer, // the object deeper than max depth is converted to json string, default is 5
+ *   arrays: String, // 'index'(flatten by index), 'join'(join by ','), 'json' or 'ignore', default is 'index'
+ *   filter: Function | RegExp, // keep the value if filter(key, value) is true or the key matches the RegExp
+ * }]
+ * @return {[type]}         [description]
+ */
+function flatten(data, options) {
+  const opts = _.extend({
+    separator: '.',
+    maxDepth: 5,
+    arrays: 'index',
+  }, options);
+  const filter = opts.filter;
+  const result = {};
+  // the objects of current path, the circular reference is ignored
+  const parents = [];
+  const add = (key, value) => {
+    if (_.isRegExp(filter) ? !filter.test(key) : (filter && !filter(key, value))) {
+      return;
+    }
+    result[key] = value;
+  };
+  const walk = (obj, prefix, depth) => {
+    parents.push(obj);
+    _.forEach(obj, (value, k) => {
+      const key = prefix ? `${prefix}${opts.separator}${k}` : `${k}`;
+      if (_.isNil(value) || _.includes(parents, value)) {
+        return;
+      }
+      const isArray = _.isArray(value);
+      if (isArray && opts.arrays !== 'index') {
+        switch (opts.arrays) {
+          case 'join':
+            add(key, value.join(','));
+            break;
+          case 'json':
+            add(key, JSON.stringify(value));
+            break;
+          default:
+            break;
+        }
+        return;
+      }
+      if (!isArray && (!_.isPlainObject(value) || lineProtocol.isTyped(value))) {
+        add(key, value);
+        return;
+      }
+      if (depth >= opts.maxDepth) {
+        add(key, JSON.stringify(value));
+        return;
+      }
+      walk(value, key, depth + 1);
+    });
+    parents.pop();
+  };
+  walk(data, '', 1);
+  return result;
+}
+
 exports.getError = getError;
+exports.wrapError = wrapError;
+exports.isClientError = isClientError;
 exports.toJSON = toJSON;
 exports.toCsv = toCsv;
 exports.mergeValues = mergeValues;
 exports.convertTagAndFieldKeys = convertTagAndFieldKeys;
 exports.getTime = getTime;
+exports.parseTimestamp = parseTimestamp;
+exports.compareTimestamp = compareTimestamp;
+exports.nextTimestamp = nextTimestamp;
+exports.formatTimestamp = formatTimestamp;
+exports.convertTimestamp = convertTimestamp;
+exports.mapLimit = mapLimit;
+exports.flatten = flatten;
@@ -0,0 +1,158 @@
+'use strict';
+
+const stream = require('stream');
+const _ = require('lodash');
+
+const debug = require('./debug');
+const internal = require('./internal');
+
+// the mark to sync the write queue before the stream is finished
+const syncMark = {};
+
+// get the writer of the point {measurement, tags, fields, time, precision, database, retentionPolicy}
+function getWriter(client, point, measurement) {
+  /* istanbul ignore if */
+  if (!_.isObject(point)) {
+    throw new Error('the point should be an object');
+  }
+  const writer = client.write(point.measurement || measurement);
+  if (point.tags) {
+    writer.tag(point.tags);
+  }
+  if (point.fields) {
+    writer.field(point.fields);
+  }
+  if (point.time) {
+    writer.time(point.time, point.precision);
+  } else if (point.precision) {
+    writer.precision = point.precision;
+  }
+  if (point.database) {
+    writer.database(point.database);
+  }
+  if (point.retentionPolicy) {
+    writer.retentionPolicy(point.retentionPolicy);
+  }
+  return writer;
+}
+
+/**
+ * [createWriteStream create the object mode writable stream, the points are added to the write queue of client,
+ * the write callback waits for the sync write when the length of write queue reaches batch size,
+ * and the stream is finished after the write queue is synced]
+ * @param  {[type]} client      [the client instance]
+ * @param  {[type]} measurement [the default measurement of points]
+ * @param  {[type]} options     [{batchSize: Integer, highWaterMark: Integer}]
+ * @return {[type]}             [description]
+ */
+function createWriteStream(client, measurement, options) {
+  const opts = _.extend({
+    batchSize: 5000,
+    highWaterMark: 16,
+  }, options);
+  // the queued points of this stream, the write queue of client is shared by other writers,
+  // so only the flush of these points fails the stream
+  const queued = new Set();
+  const writeQueue = internal(client).writeQueue;
+  const onQueue = point => queued.add(point);
+  // the flushed points are not in the write queue, return the count of them
+  const takeFlushed = () => {
+    let count = 0;
+    queued.forEach((point) => {
+      if (!writeQueue.has(point)) {
+        queued.delete(point);
+        count += 1;
+      }
+    });
+    return count;
+  };
+  // the error of the sync write(auto flush or the sync of other writers) which includes the points of stream
+  let flushError = null;
+  const onFlush = () => takeFlushed();
+  const onFlushError = (err) => {
+    if (takeFlushed() && !flushError) {
+      flushError = err;
+    }
+  };
+  const takeError = () => {
+    const err = flushError;
+    flushError = null;
+    return err;
+  };
+  const cleanup = () => {
+    client.removeListener('flush', onFlush);
+    client.removeListener('flushError', onFlushError);
+  };
+  // remove the listener when the stream fails, the stream is not destroyed on error before node 14
+  const callback = (cb, err) => {
+    if (err) {
+      cleanup();
+    }
+    cb(err);
+  };
+  const sync = (cb) => {
+    client.syncWrite().then((result) => {
+      debug('write stream sync %d points', result.count);
+      callback(cb, takeError());
+    }, (err) => {
+      takeError();
+      callback(cb, err);
+    });
+  };
+  const writable = new stream.Writable({
+    objectMode: true,
+    highWaterMark: opts.highWaterMark,
+    write(point, encoding, cb) {
+      if (point === syncMark) {
+        sync(cb);
+        return;
+      }
+      let err = null;
+      // the point(or the queued point it's merged to) is added to the write queue synchronously
+      client.on('writeQueue', onQueue);
+      try {
+        getWriter(client, point, measurement).queue();
+      } catch (e) {
+        err = e;
+      }
+      client.removeListener('writeQueue', onQueue);
+      err = err || takeError();
+      if (err) {
+        callback(cb, err);
+        return;
+      }
+      if (client.writeQueueLength >= opts.batchSize) {
+        sync(cb);
+        return;
+      }
+      cb();
+    },
+  });
+  // the `final` option is not supported before node 8, so the sync mark is written before ending the stream,
+  // the stream is finished after the write of sync mark(all points are synced)
+  const end = writable.end;
+  let ending = false;
+  writable.end = function endAfterSync(chunk, encoding, cb) {
+    if (ending) {
+      return end.call(this, chunk, encoding, cb);
+    }
+    ending = true;
+    let args = [chunk, encoding, cb];
+    if (_.isFunction(chunk)) {
+      args = [null, null, chunk];
+    } else if (_.isFunction(encoding)) {
+      args = [chunk, null, encoding];
+    }
+    if (!_.isNil(args[0])) {
+      this.write(args[0], args[1]);
+    }
+    this.write(syncMark);
+    return end.call(this, args[2]);
+  };
+  client.on('flush', onFlush);
+  client.on('flushError', onFlushError);
+  writable.once('finish', cleanup);
+  return writable;
+}
+
+exports.createWriteStream = createWriteStream;
@@ -6,6 +6,7 @@ const internal = require('./internal');
 const debug = require('./debug');
 const util = require('./util');
 const schema = require('./schema');
+const lineProtocol = require('./line-protocol');
 
 function clearNilValue(data) {
   const result = {};
@@ -29,7 +30,7 @@ class Writer {
   /**
    * Get the influxdb writer
    * @param  {Influx} client - The influx instance
-   * @param  {Function} queue - The queue function
+   * @param  {Function} queue - The queue function(data, generated), generated is true if the timestamp is set by queue()
    * @return {Writer}
    * @since 2.2.0
    */
@@ -40,8 +41,12 @@ class Writer {
     internalData.measurement = '';
     internalData.tags = {};
     internalData.fields = {};
-    internalData.time = 0;
+    internalData.time = undefined;
     internalData.precision = undefined;
+    internalData.database = undefined;
+    internalData.retentionPolicy = undefined;
+    internalData.defaultTags = undefined;
+    internalData.flatten = null;
   }
   set measurement(v) {
     internal(this).measurement = v;
@@ -55,6 +60,21 @@ class Writer {
   get precision() {
     return internal(this).precision;
   }
+  /**
+   * Set the default tags which are merged into the tags of the point, the tags set by writer.tag() override them
+   * @since 2.5.0
+   * @example
+   * const writer = client.write('http');
+   * writer.defaultTags = {
+   *   host: 'server01',
+   * };
+   */
+  set defaultTags(v) {
+    internal(this).defaultTags = v;
+  }
+  get defaultTags() {
+    return internal(this).defaultTags;
+  }
   /**
    * Set the tag for the write point
    * @param  {String | Object} key - The tag's key
@@ -86,7 +106,8 @@ class Writer {
     return this;
   }
   /**
-   * Set the field for the write point
+   * Set the field for the write point, the number is written as float, the BigInt is written as integer,
+   * use the typed setters(integer, unsigned, float, boolean, string) or typed value(Influx.integer) for the other types
    * @param  {String | Object} key - The field's key
    * @param  {Any} value - The field's value
    * @return {Writer}
@@ -108,17 +129,95 @@ class Writer {
    */
   field(k, v) {
     const fields = internal(this).fields;
-    if (v) {
-      fields[k] = v;
-    } else {
+    if (_.isObject(k)) {
       _.extend(fields, k);
+    } else {
+      fields[k] = v;
     }
     return this;
   }
   /**
-   * Set the timestamp for the write point
-   * @param  {String} timestamp - The timestamp
-   * @return {String} precision - The precision for the timestamp
+   * Set the integer field for the write point, the integer beyond 2^53 should be BigInt or String
+   * @param  {String} key - The field's key
+   * @param  {Number | String | BigInt} value - The field's value
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .integer('use', 300)
+   *   .integer('bytes', BigInt('9007199254740993'))
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
+   */
+  integer(key, value) {
+    return this.field(key, lineProtocol.typed('integer', value));
+  }
+  /**
+   * Set the unsigned integer field for the write point
+   * @param  {String} key - The field's key
+   * @param  {Number | String | BigInt} value - The field's value
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .unsigned('bytes', 2312)
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
+   */
+  unsigned(key, value) {
+    return this.field(key, lineProtocol.typed('unsigned', value));
+  }
+  /**
+   * Set the float field for the write point
+   * @param  {String} key - The field's key
+   * @param  {Number | String} value - The field's value
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .float('rate', 0.85)
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
+   */
+  float(key, value) {
+    return this.field(key, lineProtocol.typed('float', value));
+  }
+  /**
+   * Set the boolean field for the write point
+   * @param  {String} key - The field's key
+   * @param  {Any} value - The field's value, t, T, true, True, TRUE are true, f, F, false, False, FALSE are false
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .boolean('auth', 'T')
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
+   */
+  boolean(key, value) {
+    return this.field(key, lineProtocol.typed('boolean', value));
+  }
+  /**
+   * Set the string field for the write point
+   * @param  {String} key - The field's key
+   * @param  {Any} value - The field's value
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .string('code', 200)
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
+   */
+  string(key, value) {
+    return this.field(key, lineProtocol.typed('string', value));
+  }
+  /**
+   * Set the timestamp for the write point. The number and integer string are the timestamp of the precision,
+   * the Date, ISO-8601 string and BigInt nanoseconds are converted to the precision of the writer when the point is written.
+   * It throws error if the timestamp is invalid or out of the range of influxdb
+   * @param  {Number | String | Date | BigInt} timestamp - The timestamp
+   * @param  {String} precision - The precision for the timestamp, eg: h, m, s, ms, u, the default is ns
    * @since 2.2.0
    * @example
    * client.write('http')
@@ -135,20 +234,107 @@ class Writer {
    *   .time(Date.now(), 'ms')
    *   .then(() => console.info('write point success'))
    *   .catch(err => console.error(`write point fail, ${err.message}`));
+   * @example
+   * client.write('http')
+   *   .field('use', 300)
+   *   .time(new Date('2016-05-16T03:43:42.809Z'), 's')
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
    */
   time(timestamp, precision) {
-    internal(this).time = timestamp;
+    internal(this).time = util.parseTimestamp(timestamp, precision || this.precision);
     if (precision) {
       this.precision = precision;
     }
     return this;
   }
   /**
-   * Get the writer promise
+   * Set the database for the write point, the default is the database of the client
+   * @param  {String} db - The database
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .database('mydb')
+   *   .field('use', 300)
+   *   .then(() => console.info('write point success'))
+   *   .catch(err => console.error(`write point fail, ${err.message}`));
+   */
+  database(db) {
+    internal(this).database = db;
+    return this;
+  }
+  /**
+   * Flatten the nested objects of tags and fields to the keys joined by separator,
+   * the schema is validated by the flattened keys
+   * @param  {Boolean | Object} options - [optional] The flatten options {
+   *   separator: String, // the separator of keys, default is '.'
+   *   maxDepth: Integer, // the object deeper than max depth is converted to json string, default is 5
+   *   arrays: String, // 'index'(flatten by index), 'join'(join by ','), 'json' or 'ignore', default is 'index'
+   *   filter: Function | RegExp, // keep the value if filter(key, value) is true or the key matches the RegExp
+   * }, false to disable it
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('memory')
+   *   .flatten({
+   *     separator: '_',
+   *     filter: /^heap/,
+   *   })
+   *   .field({
+   *     heap: {
+   *       total: 1024,
+   *       used: 512,
+   *     },
+   *     rss: 2048,
+   *   })
+   *   .queue();
+   * // => memory heap_total=1024,heap_used=512
+   */
+  flatten(options) {
+    const enabled = _.isUndefined(options) || options;
+    internal(this).flatten = enabled ? _.extend({}, options) : null;
+    return this;
+  }
+  /**
+   * Set the retention policy for the write point, the default is the default retention policy of the database
+   * @param  {String} rp - The retention policy
+   * @return {Writer}
+   * @since 2.5.0
+   * @example
+   * client.write('http')
+   *   .retentionPolicy('one_week')
+   *   .field('use', 300)
+   *   .queue();
+   * client.write('http_summary')
+   *   .retentionPolicy('one_year')
+   *   .field('count', 1000)
+   *   .queue();
+   * // the points of different retention policies are written by different requests
+   * client.syncWrite()
+   *   .then(() => console.info('sync write queue success'))
+   *   .catch(err => console.error(`sync write queue fail, ${err.message}`));
+   */
+  retentionPolicy(rp) {
+    internal(this).retentionPolicy = rp;
+    return this;
+  }
+  /**
+   * Get the writer promise, it's resolved with the write result {count, accepted, dropped, failed, rejected}.
+   * If influxdb drops the point, the promise is rejected and the error has the write result.
    * @param  {Function} resolve - resolve function
    * @param  {Function} reject - reject function
    * @return {Promise}
    * @since 2.2.0
+   * @example
+   * client.write('http')
+   *   .integer('use', 300)
+   *   .then(result => console.info(result))
+   *   .catch((err) => {
+   *     // field type conflict if the field use is float in influxdb
+   *     console.error(err.result.rejected[0].reason);
+   *   });
+   * // => { count: 1, accepted: 1, dropped: 0, failed: 0, rejected: [] }
    */
   then(resolve, reject) {
     if (!this.fullfilledPromise) {
@@ -161,7 +347,9 @@ class Writer {
     return this.fullfilledPromise.then(resolve, reject);
   }
   /**
-   * Get the point data {measurement: String, tags: Object, fields: Object, time: String }]
+   * Get the point data {measurement: String, tags: Object, fields: Object, time: String,
+   * precision: String, database: String, retentionPolicy: String}, the undefined values are omitted,
+   * and the default tags are merged into the tags
    * @return {Object}
    * @since 2.2.0
    * @example
@@ -179,8 +367,7 @@ class Writer {
    * console.info(writer.toJSON());
    * // => { measurement: 'http',
    * //      tags: { method: 'GET', spdy: 'fast', type: '2' },
-   * //      fields: { size: 10240, use: 300, code: 200 },
-   * //      time: 0 }
+   * //      fields: { size: 10240, use: 300, code: 200 } }
    */
   toJSON() {
     const internalData = internal(this);
@@ -189,10 +376,11 @@ class Writer {
     if (!internalData.measurement) {
       throw new Error('measurement can not be null');
     }
+    const flattenOptions = internalData.flatten;
     const data = {
       measurement,
     };
-    _.forEach('tags fields time precision'.split(' '), (key) => {
+    _.forEach('tags fields time precision database retentionPolicy'.split(' '), (key) => {
       if (!_.isUndefined(internalData[key])) {
         let value = internalData[key];
         if (_.isObject(value)) {
@@ -200,11 +388,22 @@ class Writer {
         }
         switch (key) {
           case 'fields':
-            data[key] = schema.validateFields(measurement, value);
+            if (flattenOptions) {
+              value = util.flatten(value, flattenOptions);
+            }
+            data[key] = _.mapValues(schema.validateFields(measurement, value), lineProtocol.normalizeFieldValue);
             break;
           case 'tags':
+            value = _.extend(clearNilValue(internalData.defaultTags), value);
+            if (flattenOptions) {
+              value = util.flatten(value, flattenOptions);
+            }
+            // the tag schema is applied to the merged tags
             data[key] = schema.validateTags(measurement, value);
             break;
+          case 'time':
+            data[key] = util.formatTimestamp(value, internalData.precision);
+            break;
           default:
             data[key] = value;
         }
@@ -215,7 +414,24 @@ class Writer {
     return data;
   }
   /**
-   * Add the writer to the queue
+   * Get the line protocol of the point, it's the same as the line written to influxdb.
+   * The timestamp is omitted if it's not set, and the precision of the timestamp is the precision of writer
+   * @return {String}
+   * @since 2.5.0
+   * @example
+   * const line = client.write('http')
+   *   .tag('spdy', 'fast')
+   *   .field('use', 300)
+   *   .time(1463413422809, 'ms')
+   *   .toLineProtocol();
+   * console.info(line);
+   * // => http,spdy=fast use=300 1463413422809
+   */
+  toLineProtocol() {
+    return lineProtocol.format(this.toJSON());
+  }
+  /**
+   * Add the writer to the queue, the timestamp will be set to now if it's not set
    * @return {Writer}
    * @since 2.2.0
    * @example
@@ -239,8 +455,12 @@ class Writer {
     if (!queue) {
       throw new Error('queue function is undefined');
     }
-    this.time(util.getTime(internalData.precision));
-    queue(this.toJSON());
+    // the queue function knows the timestamp is generated, so it can be kept unique
+    const generated = !internalData.time;
+    if (generated) {
+      this.time(util.getTime(internalData.precision));
+    }
+    queue(this.toJSON(), generated);
     return this;
   }
 }
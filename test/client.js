@@ -1,7 +1,11 @@
 'use strict';
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const _ = require('lodash');
 const Client = require('..');
+const util = require('../lib/util');
 const db = 'vicanso';
 
 describe('Client:singleton', () => {
@@ -517,3 +521,703 @@ describe('Client:Auth', () => {
     }).catch(done);
   });
 });
+
+describe('Client:autoFlush', () => {
+  const createClient = (options) => new Client(`http://localhost:8086/${db}`, options);
+
+  it('create database', done => {
+    createClient().createDatabase().then(() => {
+      done();
+    }).catch(done);
+  });
+
+  it('flush when the queue reaches max points', done => {
+    const client = createClient({
+      maxPoints: 2,
+    });
+    client.once('flush', (stats) => {
+      assert.equal(stats.count, 2);
+      assert(stats.bytes);
+      assert(_.isNumber(stats.use));
+      assert.equal(client.writeQueueLength, 0);
+      done();
+    });
+    client.write('flush').field('use', 1).queue();
+    assert.equal(client.writeQueueLength, 1);
+    client.write('flush').field('use', 2).queue();
+  });
+
+  it('flush when the queue reaches max bytes', done => {
+    const client = createClient({
+      maxBytes: 50,
+    });
+    client.once('flush', (stats) => {
+      assert.equal(stats.count, 2);
+      assert(stats.bytes >= 50);
+      done();
+    });
+    client.write('flush').tag('type', 'bytes').field('use', 1).queue();
+    client.write('flush').tag('type', 'bytes').field('use', 2).queue();
+  });
+
+  it('flush every interval', done => {
+    const client = createClient({
+      flushInterval: 50,
+    });
+    client.once('flush', (stats) => {
+      assert.equal(stats.count, 1);
+      done();
+    });
+    client.write('flush').field('use', 3).queue();
+  });
+
+  it('never flush the queue twice at once', done => {
+    const client = createClient({
+      maxPoints: 1,
+    });
+    const counts = [];
+    client.on('flush', (stats) => {
+      counts.push(stats.count);
+      if (_.sum(counts) === 3) {
+        assert.equal(counts.join(','), '1,2');
+        done();
+      }
+    });
+    client.write('flush').field('use', 4).queue();
+    client.write('flush').field('use', 5).queue();
+    client.write('flush').field('use', 6).queue();
+  });
+
+  it('sync write wait for the flush in progress', done => {
+    const client = createClient();
+    client.write('flush').field('use', 7).queue();
+    const first = client.syncWrite();
+    client.write('flush').field('use', 8).queue();
+    const second = client.syncWrite();
+    assert.equal(client.writeQueueLength, 1);
+    Promise.all([first, second]).then(() => {
+      assert.equal(client.writeQueueLength, 0);
+      done();
+    }).catch(done);
+  });
+
+  it('emit flushError when flush fail', done => {
+    const client = new Client(`http://localhost:8087/${db}`, {
+      maxPoints: 1,
+    });
+    client.once('flushError', (err, stats) => {
+      assert(err);
+      assert.equal(stats.count, 1);
+      done();
+    });
+    client.write('flush').field('use', 9).queue();
+  });
+
+  it('drop database', function(done) {
+    this.timeout(5000);
+    createClient().dropDatabase().then(() => {
+      done();
+    }).catch(done);
+  });
+});
+
+describe('Client:queue', () => {
+  const createClient = (options) => new Client(`http://localhost:8086/${db}`, options);
+
+  it('merge the points of the same series and timestamp', () => {
+    const client = createClient({
+      mergePoints: true,
+    });
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    client.write('http').tag({
+      spdy: 'fast',
+      method: 'GET',
+    }).field('use', 300).time(1463413422809, 'ms').queue();
+    client.write('http').tag({
+      method: 'GET',
+      spdy: 'fast',
+    }).field('bytes', 1024).time(1463413422809, 'ms').queue();
+    client.write('http').tag('spdy', 'fast').field('bytes', 2048).time(1463413422809, 'ms').queue();
+    assert.equal(client.writeQueueLength, 2);
+    assert.deepEqual(points[0].fields, {
+      use: 300,
+      bytes: 1024,
+    });
+    assert.strictEqual(points[0], points[1]);
+  });
+
+  it('not merge the points by default', () => {
+    const client = createClient();
+    client.write('http').field('use', 300).time(1463413422809, 'ms').queue();
+    client.write('http').field('bytes', 1024).time(1463413422809, 'ms').queue();
+    assert.equal(client.writeQueueLength, 2);
+  });
+
+  it('unique timestamps of the same series', () => {
+    const client = createClient({
+      uniqueTimestamps: true,
+    });
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    _.forEach(_.range(3), (i) => {
+      client.write('http', 's').tag('spdy', 'fast').field('use', i).queue();
+    });
+    client.write('http', 's').tag('spdy', 'slow').field('use', 3).queue();
+    client.write('http', 's').tag('spdy', 'fast').field('use', 4).time(1463413422).queue();
+    const times = _.map(points, 'time');
+    assert.equal(_.uniq(times.slice(0, 3)).length, 3);
+    // the colliding points are raised to ns precision
+    assert.deepEqual(_.map(points, 'precision'), ['s', 'ns', 'ns', 's', 's']);
+    assert.equal(times[1], `${times[0]}000000001`);
+    assert.equal(times[2], `${times[0]}000000002`);
+    assert(parseInt(times[3], 10) <= parseInt(times[0], 10));
+    assert.equal(times[4], '1463413422');
+  });
+
+  it('unique timestamps of coarse precision without drift', () => {
+    const client = createClient({
+      uniqueTimestamps: true,
+    });
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    const hour = Math.floor(Date.now() / 3600000);
+    _.forEach(_.range(100), (i) => {
+      client.write('http', 'h').tag('spdy', 'fast').field('use', i).queue();
+    });
+    const nanoseconds = util.convertTimestamp(points[0].time, 'h', 'ns');
+    assert.equal(points[1].time, `${nanoseconds.slice(0, -1)}1`);
+    assert.equal(_.uniq(_.map(points, 'time')).length, 100);
+    // the points stay in the hour they are queued
+    _.forEach(points, (point) => {
+      const time = util.convertTimestamp(point.time, point.precision, 'h');
+      assert(parseInt(time, 10) - hour <= 1);
+    });
+  });
+
+  it('drop the oldest points when the queue is full', () => {
+    const client = createClient({
+      queueLimit: {
+        maxPoints: 2,
+      },
+    });
+    const events = [];
+    client.on('dropped', stats => events.push(stats));
+    client.write('http').field('use', 1).queue();
+    client.write('login').field('use', 2).queue();
+    client.write('http').field('use', 3).queue();
+    assert.equal(client.writeQueueLength, 2);
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0], {
+      count: 1,
+      measurements: {
+        http: 1,
+      },
+      overflow: 'drop-oldest',
+    });
+  });
+
+  it('drop the oldest points by max bytes', () => {
+    const client = createClient({
+      mergePoints: true,
+      queueLimit: {
+        maxBytes: 30,
+      },
+    });
+    const events = [];
+    client.on('dropped', stats => events.push(stats));
+    client.write('http').field('use', 1).time(1).queue();
+    client.write('login').field('use', 2).time(1).queue();
+    client.write('http').field('use', 3).time(2).queue();
+    assert.equal(client.writeQueueLength, 2);
+    assert.equal(events[0].measurements.http, 1);
+    // the point is bigger than max bytes
+    client.write('http').field('url', _.repeat('a', 30)).time(3).queue();
+    assert.equal(client.writeQueueLength, 2);
+    assert.equal(events[1].count, 1);
+    // the dropped point is not merged
+    client.write('http').field('code', 200).time(1).queue();
+    assert.equal(client.writeQueueLength, 2);
+  });
+
+  it('drop the oldest points by max bytes of the merged point', () => {
+    const client = createClient({
+      mergePoints: true,
+      queueLimit: {
+        maxBytes: 40,
+      },
+    });
+    const points = [];
+    const events = [];
+    client.on('writeQueue', point => points.push(point));
+    client.on('dropped', stats => events.push(stats));
+    client.write('http').field('use', 1).time(1).queue();
+    client.write('login').field('use', 2).time(1).queue();
+    // the merged point grows to 30 bytes, the oldest point(login) is dropped
+    client.write('http').field('url', _.repeat('a', 10)).time(1).queue();
+    assert.equal(client.writeQueueLength, 1);
+    assert.deepEqual(events[0].measurements, {
+      login: 1,
+    });
+    // the merged point is bigger than max bytes, the queued point keeps its fields
+    client.write('http').field('path', _.repeat('a', 20)).time(1).queue();
+    assert.equal(client.writeQueueLength, 1);
+    assert.deepEqual(events[1].measurements, {
+      http: 1,
+    });
+    assert.deepEqual(_.keys(points[0].fields).sort(), ['url', 'use']);
+  });
+
+  it('drop the newest points when the queue is full', () => {
+    const client = createClient({
+      queueLimit: {
+        maxPoints: 1,
+        overflow: 'drop-newest',
+      },
+    });
+    const points = [];
+    const events = [];
+    client.on('writeQueue', point => points.push(point));
+    client.on('dropped', stats => events.push(stats));
+    client.write('http').field('use', 1).queue();
+    client.write('http').field('use', 2).queue();
+    client.write('login').field('use', 3).queue();
+    assert.equal(client.writeQueueLength, 1);
+    assert.equal(points.length, 1);
+    assert.equal(points[0].fields.use, 1);
+    assert.deepEqual(_.map(events, 'measurements'), [{
+      http: 1,
+    }, {
+      login: 1,
+    }]);
+  });
+
+  it('reject the point when the queue is full', () => {
+    const client = createClient({
+      queueLimit: {
+        maxPoints: 1,
+        overflow: 'reject',
+      },
+    });
+    let dropped = null;
+    client.on('dropped', (stats) => {
+      dropped = stats;
+    });
+    client.write('http').field('use', 1).queue();
+    assert.throws(() => client.write('http').field('use', 2).queue(), /write queue is full/);
+    assert.equal(client.writeQueueLength, 1);
+    assert.equal(dropped.overflow, 'reject');
+  });
+
+  it('merge the default tags into the queued points', () => {
+    const client = createClient({
+      defaultTags: {
+        host: 'server01',
+        env: 'production',
+      },
+    });
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    client.write('http').tag('env', 'test').field('use', 300).queue();
+    client.defaultTags = {
+      version: '1.0.0',
+    };
+    assert.deepEqual(client.defaultTags, {
+      version: '1.0.0',
+    });
+    client.writePoint('http', {
+      use: 300,
+    }).queue();
+    assert.deepEqual(points[0].tags, {
+      host: 'server01',
+      env: 'test',
+    });
+    assert.deepEqual(points[1].tags, {
+      version: '1.0.0',
+    });
+  });
+
+  it('flatten the nested fields of the queued points', () => {
+    const client = createClient({
+      flatten: {
+        separator: '_',
+      },
+    });
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    client.write('memory').field(process.memoryUsage()).field('load', {
+      avg: [0.1, 0.2],
+    }).queue();
+    assert.equal(points[0].fields.load_avg_1, 0.2);
+    assert(points[0].fields.heapUsed);
+  });
+
+  it('serialize the write queue', () => {
+    const client = createClient();
+    client.write('http').tag('spdy', 'fast').field('use', 300).time(1463413422809, 'ms').queue();
+    client.write('login').field('account', 'vicanso').time(1463413422809).queue();
+    assert.equal(client.toLineProtocol(), [
+      'http,spdy=fast use=300 1463413422809',
+      'login account="vicanso" 1463413422809',
+    ].join('\n'));
+    assert.equal(client.writeQueueLength, 2);
+  });
+
+  it('write points in dry run mode', () => {
+    const client = createClient({
+      dryRun: true,
+    });
+    const requests = [];
+    const callbackClient = createClient({
+      dryRun: data => requests.push(data),
+    });
+    client.write('http').field('use', 300).time(1463413422809, 'ms').queue();
+    client.write('http').field('use', 200).time(1463413422810, 'ms').queue();
+    return client.syncWrite().then((result) => {
+      assert.equal(result.accepted, 2);
+      assert.deepEqual(client.dryRunWrites, [{
+        database: db,
+        retentionPolicy: undefined,
+        precision: 'ms',
+        count: 2,
+        body: 'http use=300 1463413422809\nhttp use=200 1463413422810',
+      }]);
+      return callbackClient.write('http')
+        .field('use', 100)
+        .retentionPolicy('one_week');
+    }).then(() => {
+      assert.equal(callbackClient.dryRunWrites.length, 0);
+      assert.equal(requests[0].retentionPolicy, 'one_week');
+      assert.equal(requests[0].body, 'http use=100');
+    });
+  });
+
+  it('queue the summary points of metrics', () => {
+    const client = createClient({
+      defaultTags: {
+        host: 'server01',
+      },
+    });
+    client.counter('http.requests', {
+      method: 'GET',
+    }).inc();
+    client.counter('http.requests', {
+      method: 'GET',
+    }).inc();
+    client.gauge('http.processing').set(3);
+    client.histogram('http.use').record(30).record(50);
+    assert.equal(client.flushMetrics(), 3);
+    const lines = _.map(client.toLineProtocol().split('\n'), line => line.replace(/ \d+$/, ''));
+    assert.deepEqual(lines, [
+      'http.requests,host=server01,method=GET count=2',
+      'http.processing,host=server01 value=3',
+      'http.use,host=server01 count=2,sum=80,min=30,max=50,mean=40,p50=30,p90=50,p99=50',
+    ]);
+  });
+
+  it('write the metrics every interval', (done) => {
+    const client = createClient({
+      metrics: {
+        interval: 10,
+      },
+      dryRun: (data) => {
+        assert.equal(data.body.split(' ')[0], 'http.requests');
+        done();
+      },
+    });
+    client.counter('http.requests').inc();
+  });
+});
+
+describe('Client:close', () => {
+  const createClient = (options) => new Client(`http://localhost:8086/${db}`, options);
+
+  it('sync the write queue and metrics when close', () => {
+    const client = createClient({
+      dryRun: true,
+      flushInterval: 10 * 1000,
+    });
+    const collector = client.collectRuntimeMetrics();
+    const summaries = [];
+    client.on('close', summary => summaries.push(summary));
+    client.write('http').field('use', 300).queue();
+    client.write('http').field('use', 200).queue();
+    client.counter('http.requests').inc();
+    const closing = client.close();
+    assert.strictEqual(client.close(), closing);
+    assert(!collector.running);
+    return closing.then((summary) => {
+      assert.deepEqual(_.omit(summary, 'use'), {
+        count: 3,
+        accepted: 3,
+        dropped: 0,
+        failed: 0,
+        pending: 0,
+        timeout: false,
+      });
+      assert(_.isNumber(summary.use));
+      assert.strictEqual(summaries[0], summary);
+      assert.equal(client.writeQueueLength, 0);
+      assert.equal(client.dryRunWrites[0].count, 3);
+    });
+  });
+
+  it('wait for the in-flight sync', () => {
+    const client = createClient({
+      dryRun: () => new Promise(resolve => setTimeout(resolve, 30)),
+    });
+    client.write('http').field('use', 300).queue();
+    const sync = client.syncWrite();
+    client.write('http').field('use', 200).queue();
+    return client.close().then((summary) => {
+      assert.equal(summary.count, 1);
+      assert.equal(summary.pending, 0);
+      return sync;
+    });
+  });
+
+  it('wait for the writes in progress and refuse the points after closing', () => {
+    let written = 0;
+    const client = createClient({
+      dryRun: () => new Promise(resolve => setTimeout(resolve, 30)).then(() => {
+        written += 1;
+      }),
+    });
+    const writing = client.write('http').field('use', 300).then(_.noop);
+    return client.close().then((summary) => {
+      assert.equal(summary.count, 0);
+      assert.equal(written, 1);
+      assert.throws(() => client.write('http').field('use', 200).queue(), /client is closed/);
+      assert.equal(client.writeQueueLength, 0);
+      return writing;
+    });
+  });
+
+  it('resolve the summary when the sync is timeout or fail', () => {
+    const client = createClient({
+      dryRun: () => new Promise(_.noop),
+    });
+    const failClient = new Client(`http://localhost:8087/${db}`);
+    client.write('http').field('use', 300).queue();
+    failClient.write('http').field('use', 300).queue();
+    return client.close({
+      timeout: 20,
+    }).then((summary) => {
+      assert(summary.timeout);
+      assert.equal(summary.pending, 1);
+      return failClient.close();
+    }).then((summary) => {
+      assert(summary.error);
+      assert(!summary.timeout);
+      assert.equal(summary.accepted, 0);
+      assert.equal(summary.pending, 1);
+    });
+  });
+
+  it('close on exit', () => {
+    const count = process.listenerCount('SIGTERM');
+    const client = createClient({
+      dryRun: true,
+      closeOnExit: {
+        signals: ['SIGTERM', 'SIGINT'],
+      },
+    });
+    assert.equal(process.listenerCount('SIGTERM'), count + 1);
+    return client.close().then(() => {
+      assert.equal(process.listenerCount('SIGTERM'), count);
+    });
+  });
+});
+
+describe('Client:spool', () => {
+  const dir = path.join(os.tmpdir(), `influxdb-nodejs-client-spool-${process.pid}`);
+  const clients = [];
+  const createClient = (url, options) => {
+    const client = new Client(url, options);
+    clients.push(client);
+    return client;
+  };
+
+  afterEach(() => Promise.all(_.map(clients.splice(0), client => client.close())));
+
+  after(() => {
+    _.forEach(fs.readdirSync(dir), file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it('create database', done => {
+    new Client(`http://localhost:8086/${db}`).createDatabase().then(() => {
+      done();
+    }).catch(done);
+  });
+
+  it('spool the points when sync write fail', done => {
+    const client = createClient(`http://localhost:8087/${db}`, {
+      spool: {
+        path: dir,
+      },
+    });
+    client.once('spool', (stats) => {
+      assert.equal(stats.count, 2);
+      assert(stats.bytes);
+      assert.equal(fs.readdirSync(dir).length, 1);
+    });
+    client.write('spool').field('use', 1).queue();
+    client.write('spool').field('use', 2).queue();
+    client.syncWrite().then(() => {
+      done(new Error('sync write to unavailable server should be fail'));
+    }).catch(() => {
+      assert.equal(client.writeQueueLength, 0);
+      done();
+    });
+  });
+
+  it('emit spool error when the points fail to be spooled', done => {
+    const brokenDir = `${dir}-broken`;
+    const client = createClient(`http://localhost:8087/${db}`, {
+      spool: {
+        path: brokenDir,
+      },
+    });
+    // the spool directory is replaced by a file, the points can not be appended
+    fs.rmdirSync(brokenDir);
+    fs.writeFileSync(brokenDir, '');
+    let spoolError = null;
+    client.on('spoolError', (err) => {
+      spoolError = err;
+    });
+    client.write('spool').field('use', 1).queue();
+    client.syncWrite().then(() => {
+      done(new Error('sync write to unavailable server should be fail'));
+    }).catch((err) => {
+      fs.unlinkSync(brokenDir);
+      assert.equal(spoolError.code, 'ENOTDIR');
+      // the flush error is not replaced by the spool error
+      assert.notEqual(err, spoolError);
+      assert.notEqual(err.code, 'ENOTDIR');
+      done();
+    }).catch(done);
+  });
+
+  it('replay the spool when the server is available', done => {
+    const client = createClient(`http://localhost:8086/${db}`, {
+      spool: {
+        path: dir,
+        replayInterval: 10,
+      },
+    });
+    client.once('spoolReplay', (stats) => {
+      assert.equal(stats.count, 2);
+      assert.equal(fs.readdirSync(dir).length, 0);
+      done();
+    });
+  });
+
+  it('drop database', function(done) {
+    this.timeout(5000);
+    new Client(`http://localhost:8086/${db}`).dropDatabase().then(() => {
+      done();
+    }).catch(done);
+  });
+});
+
+describe('Client:precision', () => {
+  const client = new Client(`http://localhost:8086/${db}`);
+
+  it('create database', done => {
+    client.createDatabase().then(() => {
+      done();
+    }).catch(done);
+  });
+
+  it('sync write queue of mixed precision', done => {
+    const ms = 1463413422809;
+    client.write('precision')
+      .tag('type', 'ms')
+      .field('use', 1)
+      .time(ms, 'ms')
+      .queue();
+    client.write('precision', 's')
+      .tag('type', 's')
+      .field('use', 2)
+      .time(Math.floor(ms / 1000))
+      .queue();
+    client.write('precision', 's')
+      .tag('type', 'queue')
+      .field('use', 3)
+      .queue();
+    client.syncWrite().then((result) => {
+      assert.equal(result.accepted, 3);
+      return client.query('precision')
+        .set('epoch', 'ms')
+        .set('format', 'json');
+    }).then((data) => {
+      const points = _.keyBy(data.precision, 'type');
+      assert.equal(points.ms.time, ms);
+      assert.equal(points.s.time, Math.floor(ms / 1000) * 1000);
+      assert(Math.abs(points.queue.time - Date.now()) < 60 * 1000);
+      done();
+    }).catch(done);
+  });
+
+  it('drop database', function(done) {
+    this.timeout(5000);
+    client.dropDatabase().then(() => {
+      done();
+    }).catch(done);
+  });
+});
+
+describe('Client:target', () => {
+  const client = new Client(`http://localhost:8086/${db}`);
+  const otherDb = `${db}_other`;
+
+  it('create database and retention policy', done => {
+    client.createDatabase().then(() => {
+      return client.createRetentionPolicy('short', '2h');
+    }).then(() => {
+      return client.queryPost(`create database ${otherDb}`);
+    }).then(() => {
+      done();
+    }).catch(done);
+  });
+
+  it('write point to retention policy', done => {
+    client.writePoint('target', {
+      use: 1,
+    }, null, {
+      retentionPolicy: 'short',
+    }).then(() => {
+      return client.queryRaw(`select * from "${db}"."short"."target"`);
+    }).then((data) => {
+      assert.equal(data.results[0].series[0].values.length, 1);
+      done();
+    }).catch(done);
+  });
+
+  it('sync write queue to different database and retention policy', done => {
+    client.write('target').field('use', 2).queue();
+    client.write('target').retentionPolicy('short').field('use', 3).queue();
+    client.write('target').database(otherDb).field('use', 4).queue();
+    client.syncWrite().then((result) => {
+      assert.equal(result.accepted, 3);
+      return client.queryRaw('select * from "target"; select * from "short"."target"');
+    }).then((data) => {
+      assert.equal(data.results[0].series[0].values.length, 1);
+      assert.equal(data.results[1].series[0].values.length, 2);
+      return client.queryRaw('select * from "target"', otherDb);
+    }).then((data) => {
+      assert.equal(data.results[0].series[0].values[0][1], 4);
+      done();
+    }).catch(done);
+  });
+
+  it('drop database', function(done) {
+    this.timeout(5000);
+    client.queryPost(`drop database ${otherDb}`).then(() => {
+      return client.dropDatabase();
+    }).then(() => {
+      done();
+    }).catch(done);
+  });
+});
@@ -65,3 +65,159 @@ describe('HTTP', () => {
   });
 });
 
+describe('HTTP:retry', () => {
+  let count = 0;
+  const server = require('http').createServer((req, res) => {
+    count += 1;
+    if (req.url.indexOf('/write') === 0) {
+      res.statusCode = 400;
+      res.end('{"error":"field type conflict"}');
+      return;
+    }
+    res.statusCode = count < 3 ? 503 : 204;
+    res.end();
+  });
+  const http = new HTTP([
+    {
+      host: 'localhost',
+      port: 8088,
+    }
+  ]);
+  http.retry = {
+    baseDelay: 1,
+  };
+
+  before(done => server.listen(8088, done));
+  after(done => server.close(done));
+  beforeEach(() => {
+    count = 0;
+  });
+
+  it('get retry policy', () => {
+    assert.equal(http.retry.maxAttempts, 3);
+    assert.equal(http.retry.baseDelay, 1);
+  });
+
+  it('retry until success', done => {
+    http.get('/ping', null, {
+      retry: true,
+    }).then(res => {
+      assert.equal(res.status, 204);
+      assert.equal(count, 3);
+      done();
+    }).catch(done);
+  });
+
+  it('not retry without retry option', done => {
+    http.get('/ping').then(() => {
+      done(new Error('should be fail'));
+    }).catch(err => {
+      assert.equal(err.status, 503);
+      assert.equal(count, 1);
+      done();
+    });
+  });
+
+  it('not retry 4xx write', done => {
+    http.post('/write', 'cpu value=1', null, {
+      retry: true,
+      write: true,
+    }).then(() => {
+      done(new Error('should be fail'));
+    }).catch(err => {
+      assert.equal(err.status, 400);
+      assert.equal(err.attempts, 1);
+      assert.equal(count, 1);
+      done();
+    });
+  });
+});
+
+describe('HTTP:gzip', () => {
+  const zlib = require('zlib');
+  let writeBody;
+  let writeEncoding;
+  const server = require('http').createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      if (req.url.indexOf('/write') === 0) {
+        writeEncoding = req.headers['content-encoding'];
+        writeBody = writeEncoding === 'gzip' ? zlib.gunzipSync(body).toString() : body.toString();
+        res.statusCode = 204;
+        res.end();
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Encoding', 'gzip');
+      res.end(zlib.gzipSync(JSON.stringify({
+        results: [
+          {
+            statement_id: 0,
+          },
+        ],
+      })));
+    });
+  });
+  const http = new HTTP([
+    {
+      host: 'localhost',
+      port: 8088,
+    }
+  ]);
+  http.gzip = {
+    minSize: 100,
+  };
+
+  before(done => server.listen(8088, done));
+  after(done => server.close(done));
+
+  it('get gzip options', () => {
+    assert.equal(http.gzip.minSize, 100);
+  });
+
+  it('not compress the small body', done => {
+    http.post('/write', 'cpu value=1', null, {
+      gzip: true,
+    }).then(() => {
+      assert.equal(writeEncoding, undefined);
+      assert.equal(writeBody, 'cpu value=1');
+      done();
+    }).catch(done);
+  });
+
+  it('compress the write body', done => {
+    const data = _.map(_.range(20), i => `cpu value=${i}`).join('\n');
+    let stats;
+    http.once('gzip', (data) => {
+      stats = data;
+    });
+    http.post('/write', data, null, {
+      gzip: true,
+    }).then(() => {
+      assert.equal(writeEncoding, 'gzip');
+      assert.equal(writeBody, data);
+      assert.equal(stats.url, '/write');
+      assert.equal(stats.bytes, Buffer.byteLength(data));
+      assert(stats.gzipBytes < stats.bytes);
+      done();
+    }).catch(done);
+  });
+
+  it('decompress the gzip response', done => {
+    let stats;
+    http.once('gzip', (data) => {
+      stats = data;
+    });
+    http.get('/query', null, {
+      gzip: true,
+    }).then(res => {
+      assert.equal(res.body.results[0].statement_id, 0);
+      assert.equal(stats.url, '/query');
+      assert.equal(stats.bytes, res.text.length);
+      assert(stats.gzipBytes);
+      done();
+    }).catch(done);
+  });
+});
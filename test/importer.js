@@ -0,0 +1,208 @@
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const _ = require('lodash');
+const importer = require('../lib/importer');
+const Client = require('../lib/client');
+
+describe('importer', () => {
+  const parse = (parser, chunks) => new Promise((resolve, reject) => {
+    const rows = [];
+    const readable = new stream.Readable({
+      read() {},
+    });
+    readable.pipe(parser)
+      .on('data', row => rows.push(row))
+      .on('error', reject)
+      .on('end', () => resolve(rows));
+    _.forEach(chunks, chunk => readable.push(chunk));
+    readable.push(null);
+  });
+
+  it('parse csv', () => {
+    const chunks = [
+      'time,host,"url"\r\n2016,server01,"/users',
+      '/me?a=1,b=""2"""\r\n\r\n2017,server02',
+      '\n2018,"server\n03",/\n2019',
+    ];
+    return parse(importer.createCSVParser(), chunks).then((rows) => {
+      assert.equal(rows.length, 4);
+      assert.deepEqual(rows[0], {
+        row: 1,
+        data: {
+          time: '2016',
+          host: 'server01',
+          url: '/users/me?a=1,b="2"',
+        },
+      });
+      assert.equal(rows[1].error.message, 'the count of values is 2, expected 3');
+      assert.equal(rows[2].data.host, 'server\n03');
+      assert.equal(rows[3].row, 4);
+      assert(rows[3].error);
+    });
+  });
+
+  it('parse csv with columns and delimiter', () => {
+    const parser = importer.createCSVParser({
+      columns: ['host', 'use'],
+      delimiter: '\t',
+    });
+    return parse(parser, ['server01\t300\nserver02\t"30']).then((rows) => {
+      assert.deepEqual(rows[0].data, {
+        host: 'server01',
+        use: '300',
+      });
+      assert.equal(rows[1].error.message, 'unterminated quoted value');
+    });
+  });
+
+  it('parse ndjson', () => {
+    const chunks = [
+      '{"host": "server01"}\n\n{"ho',
+      'st": "广州"}\n{abc}\n{"host": "server04"}',
+    ];
+    return parse(importer.createNDJSONParser(), chunks).then((rows) => {
+      assert.equal(rows.length, 4);
+      assert.equal(rows[1].row, 3);
+      assert.equal(rows[1].data.host, '广州');
+      assert.equal(rows[2].row, 4);
+      assert(rows[2].error);
+      assert.equal(rows[3].data.host, 'server04');
+    });
+  });
+});
+
+describe('Client:import', () => {
+  const port = 8088;
+  const dir = os.tmpdir();
+  const writes = [];
+  const server = require('http').createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const lines = Buffer.concat(chunks).toString().split('\n');
+      writes.push(lines);
+      const bad = _.find(lines, line => line.indexOf('host=bad') !== -1);
+      if (!bad) {
+        res.statusCode = 204;
+        res.end();
+        return;
+      }
+      res.statusCode = 400;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        error: `partial write: unable to parse '${bad}': bad host`,
+      }));
+    });
+  });
+  const client = new Client(`http://localhost:${port}/mydb`);
+  client.schema('import', {
+    use: 'integer',
+  });
+
+  before(done => server.listen(port, done));
+  after(done => server.close(done));
+  beforeEach(() => {
+    writes.length = 0;
+  });
+
+  it('import csv', () => {
+    const file = path.join(dir, `influxdb-nodejs-import-${process.pid}.csv`);
+    fs.writeFileSync(file, [
+      'time,host,use,url',
+      '2016-05-16T03:43:42.809Z,server01,300,/users/me',
+      '2016-05-16T03:43:43.809Z,,abc,',
+      '1463413422809,server02,100,/',
+      '2016-05-16T03:43:44.809Z,bad,100,/',
+      '2016-05-16T03:43:45.809Z,server03,200,/books',
+    ].join('\n'));
+    const progress = [];
+    return client.import(file, {
+      measurement: 'import',
+      tags: ['host'],
+      fields: ['use', 'url'],
+      time: {
+        key: 'time',
+        format: 'iso',
+        precision: 'ms',
+      },
+      batchSize: 2,
+      onProgress: stats => progress.push(stats),
+    }).then((summary) => {
+      fs.unlinkSync(file);
+      assert.equal(summary.rows, 5);
+      assert.equal(summary.written, 2);
+      assert.equal(summary.failed, 3);
+      assert.deepEqual(_.map(summary.errors, 'row'), [2, 3, 4]);
+      assert.equal(summary.errors[0].message, 'fields can not be empty');
+      assert.equal(summary.errors[2].message, 'bad host');
+      assert.equal(writes.length, 2);
+      assert.equal(writes[0][0], 'import,host=server01 use=300i,url="/users/me" 1463370222809');
+      assert.equal(progress.length, 2);
+      assert.deepEqual(progress[1], {
+        rows: 5,
+        written: 2,
+        failed: 3,
+      });
+    });
+  });
+
+  it('import ndjson stream', () => {
+    const readable = new stream.Readable({
+      read() {},
+    });
+    readable.push('{"ts": 1463413422809, "request": {"host": "server01", "use": 300}}\n');
+    readable.push('{"ts": "now", "request": {"host": "server02", "use": 300}}\n');
+    readable.push('{"ts": 1463413422810, "request": {"use": "10"}}');
+    readable.push(null);
+    return client.import(readable, {
+      measurement: data => data.request.host ? 'import' : 'unknown',
+      tags: {
+        host: 'request.host',
+      },
+      fields: {
+        use: 'request.use',
+        count: {
+          key: 'request.use',
+          type: 'float',
+        },
+      },
+      time: {
+        key: 'ts',
+        format: 'epoch',
+        precision: 'ms',
+      },
+    }).then((summary) => {
+      assert.equal(summary.rows, 3);
+      assert.equal(summary.written, 2);
+      assert.equal(summary.errors[0].row, 2);
+      assert.deepEqual(writes[0], [
+        'import,host=server01 use=300i,count=300 1463413422809',
+        'unknown use="10",count=10 1463413422810',
+      ]);
+    });
+  });
+
+  it('stop the import when the write fails', () => {
+    const downClient = new Client('http://localhost:8087/mydb');
+    const readable = new stream.Readable({
+      read() {},
+    });
+    readable.push('{"use": 1}\n{"use": 2}\n{"use": 3}');
+    readable.push(null);
+    return downClient.import(readable, {
+      format: 'ndjson',
+      measurement: 'import',
+      fields: ['use'],
+      batchSize: 2,
+    }).then(() => {
+      throw new Error('import should be fail');
+    }, (err) => {
+      assert(err.message);
+      assert.equal(err.summary.written, 0);
+    });
+  });
+});
@@ -39,6 +39,113 @@ describe('Influx', () => {
         value: 0.64,
       },
     }).then(data => {
+      assert.equal(data.accepted, 1);
+      assert.equal(data.dropped, 0);
+      done();
+    }).catch(done);
+  });
+
+  it('write points with field type conflict', done => {
+    influx.write([
+      {
+        measurement: 'cpu_load_short',
+        tags: {
+          host: 'server02',
+        },
+        fields: {
+          value: {
+            type: 'integer',
+            value: 1,
+          },
+        },
+      },
+      {
+        measurement: 'cpu_load_short',
+        tags: {
+          host: 'server02',
+        },
+        fields: {
+          value: 0.5,
+        },
+      },
+    ]).then(() => {
+      done(new Error('field type conflict should be fail'));
+    }).catch(err => {
+      const result = err.result;
+      assert.equal(err.status, 400);
+      assert.equal(result.count, 2);
+      assert.equal(result.accepted, 1);
+      assert.equal(result.dropped, 1);
+      assert.equal(result.rejected.length, 1);
+      const item = result.rejected[0];
+      assert.equal(item.index, 0);
+      assert.equal(item.measurement, 'cpu_load_short');
+      assert.equal(item.field, 'value');
+      assert.equal(item.type, 'integer');
+      assert.equal(item.existingType, 'float');
+      done();
+    }).catch(done);
+  });
+
+  it('write points with unparsable line', done => {
+    influx.write([
+      {
+        measurement: 'cpu_load_short',
+        fields: {},
+      },
+      {
+        measurement: 'cpu_load_short',
+        fields: {
+          value: 0.3,
+        },
+      },
+    ]).then(() => {
+      done(new Error('unparsable line should be fail'));
+    }).catch(err => {
+      const result = err.result;
+      assert.equal(result.accepted, 1);
+      assert.equal(result.dropped, 1);
+      assert.equal(result.rejected[0].index, 0);
+      assert(result.rejected[0].reason);
+      done();
+    }).catch(done);
+  });
+
+  it('write points in batches', done => {
+    const batchInflux = new Influx({
+      servers: [
+        {
+          host: 'localhost',
+          port: 8086,
+        }
+      ],
+      database: db,
+      batch: {
+        maxLines: 2,
+        concurrency: 2,
+      },
+    });
+    const points = _.map(_.range(5), i => ({
+      measurement: 'cpu_load_short',
+      tags: {
+        host: 'server03',
+      },
+      fields: {
+        value: i === 3 ? {
+          type: 'integer',
+          value: 1,
+        } : i / 10,
+      },
+    }));
+    batchInflux.write(points).then(() => {
+      done(new Error('field type conflict should be fail'));
+    }).catch(err => {
+      const result = err.result;
+      assert.equal(result.count, 5);
+      assert.equal(result.accepted, 4);
+      assert.equal(result.dropped, 1);
+      assert.equal(result.failed, 0);
+      assert.equal(result.rejected[0].index, 3);
       done();
     }).catch(done);
   });
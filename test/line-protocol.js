@@ -0,0 +1,394 @@
+'use strict';
+const assert = require('assert');
+const stream = require('stream');
+const lineProtocol = require('../lib/line-protocol');
+
+describe('line-protocol', () => {
+  it('escape measurement', () => {
+    assert.equal(lineProtocol.escapeMeasurement('cpu load,short'), 'cpu\\ load\\,short');
+    assert.equal(lineProtocol.escapeMeasurement('cpu=load'), 'cpu=load');
+    assert.equal(lineProtocol.escapeMeasurement('a b c'), 'a\\ b\\ c');
+  });
+
+  it('escape key', () => {
+    assert.equal(lineProtocol.escapeKey('location dc'), 'location\\ dc');
+    assert.equal(lineProtocol.escapeKey('a=b,c d e'), 'a\\=b\\,c\\ d\\ e');
+    assert.equal(lineProtocol.escapeKey(2), '2');
+    assert.equal(lineProtocol.escapeKey('c:\\tmp'), 'c:\\tmp');
+    assert.throws(() => lineProtocol.escapeKey('c\\'), /trailing backslash/);
+    assert.throws(() => lineProtocol.escapeMeasurement('cpu\\'), /trailing backslash/);
+  });
+
+  it('escape string', () => {
+    assert.equal(lineProtocol.escapeString('say "hi"'), 'say \\"hi\\"');
+    assert.equal(lineProtocol.escapeString('c:\\tmp'), 'c:\\\\tmp');
+    assert.equal(lineProtocol.escapeString('a b,c=d'), 'a b,c=d');
+  });
+
+  it('get field type', () => {
+    assert.equal(lineProtocol.getFieldType(1), 'float');
+    assert.equal(lineProtocol.getFieldType(1.5), 'float');
+    assert.equal(lineProtocol.getFieldType(true), 'boolean');
+    assert.equal(lineProtocol.getFieldType('true'), 'string');
+    assert.equal(lineProtocol.getFieldType('10i'), 'string');
+    assert.equal(lineProtocol.getFieldType({
+      type: 'integer',
+      value: 10,
+    }), 'integer');
+    assert.equal(lineProtocol.getFieldType({
+      type: 'unsigned',
+      value: 10,
+    }), 'unsigned');
+    assert.equal(lineProtocol.getFieldType({
+      value: 10,
+    }), 'string');
+  });
+
+  it('format field value', () => {
+    const format = lineProtocol.formatFieldValue;
+    assert.equal(format(1), '1');
+    assert.equal(format(-1.5), '-1.5');
+    assert.equal(format(1e21), '1e+21');
+    assert.equal(format(true), 'true');
+    assert.equal(format(false), 'false');
+    assert.equal(format('10i'), '"10i"');
+    assert.equal(format('true'), '"true"');
+    assert.equal(format('say "hi" \\'), '"say \\"hi\\" \\\\"');
+    assert.equal(format({
+      type: 'integer',
+      value: 10,
+    }), '10i');
+    assert.equal(format({
+      type: 'integer',
+      value: '-9223372036854775808',
+    }), '-9223372036854775808i');
+    assert.equal(format({
+      type: 'unsigned',
+      value: '18446744073709551615',
+    }), '18446744073709551615u');
+    assert.equal(format({
+      type: 'float',
+      value: '1.5',
+    }), '1.5');
+    assert.equal(format({
+      type: 'boolean',
+      value: 'F',
+    }), 'false');
+    assert.equal(format({
+      type: 'boolean',
+      value: 1,
+    }), 'true');
+    assert.equal(format({
+      type: 'string',
+      value: 10,
+    }), '"10"');
+  });
+
+  it('format invalid field value', () => {
+    const format = lineProtocol.formatFieldValue;
+    assert.throws(() => format(NaN), /float field value is invalid/);
+    assert.throws(() => format(Infinity), /float field value is invalid/);
+    assert.throws(() => format({
+      type: 'integer',
+      value: 1.5,
+    }), /integer field value is invalid/);
+    assert.throws(() => format({
+      type: 'integer',
+      value: '9223372036854775808',
+    }), /integer field value is out of range/);
+    assert.throws(() => format({
+      type: 'unsigned',
+      value: -1,
+    }), /unsigned field value is out of range/);
+    assert.throws(() => format({
+      type: 'unsigned',
+      value: '18446744073709551616',
+    }), /unsigned field value is out of range/);
+  });
+
+  it('get typed value', () => {
+    assert.deepEqual(lineProtocol.typed('integer', 10), {
+      type: 'integer',
+      value: 10,
+    });
+    assert.throws(() => lineProtocol.typed('int', 10), /field type is invalid/);
+    assert.throws(() => lineProtocol.typed('float', 'abc'), /float field value is invalid/);
+    assert.equal(lineProtocol.normalizeFieldValue(1), 1);
+    if (typeof BigInt !== 'undefined') {
+      assert.deepEqual(lineProtocol.normalizeFieldValue(BigInt(10)), {
+        type: 'integer',
+        value: '10',
+      });
+      assert.deepEqual(lineProtocol.normalizeFieldValue({
+        type: 'unsigned',
+        value: BigInt(10),
+      }), {
+        type: 'unsigned',
+        value: '10',
+      });
+    }
+  });
+
+  it('format point', () => {
+    const line = lineProtocol.format({
+      measurement: 'http request',
+      tags: {
+        type: '2',
+        'location dc': 'gd gz',
+        method: 'GET',
+        'a=b': 'c,d',
+      },
+      fields: {
+        use: {
+          type: 'integer',
+          value: 300,
+        },
+        'my nick': 'tree "xie"',
+        auth: true,
+        size: 10.5,
+      },
+      time: '1463413422809000000',
+    });
+    assert.equal(line, 'http\\ request,a\\=b=c\\,d,location\\ dc=gd\\ gz,method=GET,type=2 use=300i,my\\ nick="tree \\"xie\\"",auth=true,size=10.5 1463413422809000000');
+  });
+
+  it('format point without tags and time', () => {
+    const line = lineProtocol.format({
+      measurement: 'http',
+      tags: {
+        spdy: '',
+        type: null,
+      },
+      fields: {
+        use: 300,
+        url: null,
+      },
+    });
+    assert.equal(line, 'http use=300');
+  });
+
+  it('format point with the epoch timestamp', () => {
+    const line = lineProtocol.format({
+      measurement: 'http',
+      fields: {
+        use: 1,
+      },
+      time: 0,
+    });
+    assert.equal(line, 'http use=1 0');
+  });
+
+  it('sort tags by bytes', () => {
+    const line = lineProtocol.format({
+      measurement: 'http',
+      tags: {
+        b: '1',
+        a: '2',
+        B: '3',
+        ä: '4',
+      },
+      fields: {
+        use: 1,
+      },
+    });
+    assert.equal(line, 'http,B=3,a=2,b=1,ä=4 use=1');
+  });
+
+  it('format invalid point', () => {
+    assert.throws(() => lineProtocol.format({
+      fields: {
+        use: 1,
+      },
+    }), /measurement can not be null/);
+    assert.throws(() => lineProtocol.format({
+      measurement: 'http',
+      fields: {
+        use: null,
+      },
+    }), /fields can not be empty/);
+    assert.throws(() => lineProtocol.format({
+      measurement: 'http',
+      fields: {
+        use: 1,
+      },
+      time: '2016-01-01',
+    }), /timestamp is invalid/);
+    assert.throws(() => lineProtocol.format({
+      measurement: 'http',
+      tags: {
+        'a b': 'c\\',
+      },
+      fields: {
+        a: 1,
+      },
+    }), /trailing backslash/);
+    assert.throws(() => lineProtocol.format({
+      measurement: 'http',
+      tags: {
+        'a\\': 'c',
+      },
+      fields: {
+        a: 1,
+      },
+    }), /trailing backslash/);
+    const invalidPoints = [
+      [{ measurement: 'm\ny', fields: { f: 1 } }, /new line/],
+      [{ measurement: 'm', tags: { a: 'x\ny' }, fields: { f: 1 } }, /new line/],
+      [{ measurement: 'm', tags: { 'a\r\nb': 'x' }, fields: { f: 1 } }, /new line/],
+      [{ measurement: 'm', fields: { 'f\n': 1 } }, /new line/],
+      [{ measurement: 'm', tags: { '': 'v' }, fields: { f: 1 } }, /tag key can not be empty/],
+      [{ measurement: 'm', fields: { '': 1 } }, /field key can not be empty/],
+      [{ measurement: '#m', fields: { f: 1 } }, /can not start with #/],
+    ];
+    invalidPoints.forEach(item => assert.throws(() => lineProtocol.format(item[0]), item[1]));
+  });
+  it('parse point', () => {
+    const points = lineProtocol.parse('http\\ request,a\\=b=c\\,d,location\\ dc=gd\\ gz use=300i,count=18446744073709551615u,my\\ nick="tree \\"xie\\" \\\\",auth=t,size=10.5,rate=-1e3 1463413422809000000');
+    assert.equal(points.length, 1);
+    assert.deepEqual(points[0], {
+      measurement: 'http request',
+      tags: {
+        'a=b': 'c,d',
+        'location dc': 'gd gz',
+      },
+      fields: {
+        use: {
+          type: 'integer',
+          value: 300,
+        },
+        count: {
+          type: 'unsigned',
+          value: '18446744073709551615',
+        },
+        'my nick': 'tree "xie" \\',
+        auth: true,
+        size: 10.5,
+        rate: -1000,
+      },
+      time: '1463413422809000000',
+    });
+  });
+
+  it('parse multi lines', () => {
+    const text = [
+      '# comment',
+      '',
+      'http use=1,url="a\nb"',
+      '  http,spdy=fast use=2 1463413422809',
+      '',
+    ].join('\n');
+    const points = lineProtocol.parse(text);
+    assert.equal(points.length, 2);
+    assert.equal(points[0].fields.url, 'a\nb');
+    assert.equal(points[0].time, undefined);
+    assert.equal(points[1].tags.spdy, 'fast');
+    assert.equal(points[1].time, '1463413422809');
+  });
+
+  it('parse CRLF lines', () => {
+    assert.deepEqual(lineProtocol.parse('m x=1\r\n'), [{
+      measurement: 'm',
+      tags: {},
+      fields: {
+        x: 1,
+      },
+    }]);
+    const text = [
+      '# comment',
+      '',
+      'http,spdy=fast use=1i,url="a\r\nb" 1463413422809',
+      'http use=2 ',
+      'http ok=true',
+    ].join('\r\n');
+    const points = lineProtocol.parse(text);
+    assert.equal(points.length, 3);
+    assert.equal(points[0].fields.url, 'a\r\nb');
+    assert.equal(points[0].time, '1463413422809');
+    assert.equal(points[1].fields.use, 2);
+    assert.equal(points[2].fields.ok, true);
+  });
+
+  it('parse the formatted point', () => {
+    const point = {
+      measurement: 'cpu,load short',
+      tags: {
+        'host name': 'server=01',
+      },
+      fields: {
+        value: 0.64,
+        count: {
+          type: 'integer',
+          value: -100,
+        },
+        text: 'say "hi" c:\\tmp\\',
+        ok: false,
+      },
+      time: '1463413422809000000',
+    };
+    const line = lineProtocol.format(point);
+    assert.equal(lineProtocol.format(lineProtocol.parse(line)[0]), line);
+  });
+
+  it('parse error with line and column', () => {
+    const check = (text, reason, line, column) => {
+      try {
+        lineProtocol.parse(text);
+      } catch (err) {
+        assert.equal(err.message, `${reason} at line ${line}, column ${column}`);
+        assert.equal(err.line, line);
+        assert.equal(err.column, column);
+        return;
+      }
+      throw new Error(`${text} should be fail`);
+    };
+    check('http', 'missing fields', 1, 5);
+    check('http,spdy use=1', 'missing tag value', 1, 10);
+    check('http use', 'missing field value', 1, 9);
+    check('http use=', 'missing field value', 1, 10);
+    check('http use=1\nhttp use=abc', 'invalid field value', 2, 10);
+    check('http use=1.5i', 'invalid integer field value', 1, 10);
+    check('http use=-1u', 'invalid unsigned field value', 1, 10);
+    check('http use=9223372036854775808i', 'integer field value is out of range', 1, 10);
+    check('http url="/users', 'unterminated string', 1, 10);
+    check('http use=1 2016-01-01', 'invalid timestamp', 1, 12);
+    check('http use=1 1463413422809 1', 'unexpected character', 1, 26);
+    check(',spdy=fast use=1', 'missing measurement', 1, 1);
+  });
+
+  it('parse stream', (done) => {
+    const readable = new stream.Readable({
+      read() {},
+    });
+    const points = [];
+    readable.pipe(lineProtocol.createParseStream())
+      .on('data', point => points.push(point))
+      .on('error', done)
+      .on('end', () => {
+        assert.equal(points.length, 3);
+        assert.equal(points[0].fields.url, 'a\nb');
+        assert.equal(points[1].tags.city, '广州');
+        assert.equal(points[2].fields.use, 3);
+        done();
+      });
+    const buf = Buffer.from('http use=1,url="a\nb"\nhttp,city=广州 use=2\nhttp use=3');
+    // split the chunks in the string and the multi bytes char
+    readable.push(buf.slice(0, 17));
+    readable.push(buf.slice(17, 37));
+    readable.push(buf.slice(37));
+    readable.push(null);
+  });
+
+  it('parse stream error', (done) => {
+    const readable = new stream.Readable({
+      read() {},
+    });
+    readable.pipe(lineProtocol.createParseStream())
+      .on('error', (err) => {
+        assert.equal(err.line, 2);
+        assert.equal(err.message, 'missing fields at line 2, column 5');
+        done();
+      });
+    readable.push('http use=1\nhttp\n');
+    readable.push(null);
+  });
+});
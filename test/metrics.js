@@ -0,0 +1,104 @@
+'use strict';
+const assert = require('assert');
+const _ = require('lodash');
+const internal = require('../lib/internal');
+const Metrics = require('../lib/metrics');
+
+describe('Metrics', () => {
+  it('counter', () => {
+    const metrics = new Metrics();
+    const counter = metrics.get('counter', 'http.requests', {
+      method: 'GET',
+      spdy: 'fast',
+    });
+    assert.strictEqual(metrics.get('counter', 'http.requests', {
+      spdy: 'fast',
+      method: 'GET',
+    }), counter);
+    metrics.get('counter', 'http.requests', {
+      method: 'POST',
+    });
+    counter.inc().inc(2);
+    assert.equal(counter.value, 3);
+    assert.deepEqual(metrics.collect(), [{
+      measurement: 'http.requests',
+      tags: {
+        method: 'GET',
+        spdy: 'fast',
+      },
+      fields: {
+        count: 3,
+      },
+    }]);
+    // the counter is reset after collect
+    assert.equal(counter.value, 0);
+    assert.equal(metrics.collect().length, 0);
+  });
+
+  it('gauge', () => {
+    const metrics = new Metrics();
+    const gauge = metrics.get('gauge', 'http.processing');
+    gauge.inc().inc(3).dec();
+    assert.equal(gauge.value, 3);
+    assert.deepEqual(metrics.collect()[0].fields, {
+      value: 3,
+    });
+    gauge.set(10);
+    // the gauge keeps the last value
+    assert.deepEqual(metrics.collect()[0].fields, {
+      value: 10,
+    });
+  });
+
+  it('histogram', () => {
+    const metrics = new Metrics({
+      percentiles: [50, 90],
+    });
+    const histogram = metrics.get('histogram', 'http.use');
+    _.forEach(_.shuffle(_.range(1, 101)), value => histogram.record(value));
+    assert.equal(histogram.count, 100);
+    metrics.get('histogram', 'http.bytes', null, {
+      percentiles: [99.9],
+    }).record(1024).record(2048);
+    const points = metrics.collect();
+    assert.deepEqual(points[0].fields, {
+      count: 100,
+      sum: 5050,
+      min: 1,
+      max: 100,
+      mean: 50.5,
+      p50: 50,
+      p90: 90,
+    });
+    assert.deepEqual(points[1].fields, {
+      count: 2,
+      sum: 3072,
+      min: 1024,
+      max: 2048,
+      mean: 1536,
+      p99_9: 2048,
+    });
+    assert.equal(histogram.count, 0);
+  });
+
+  it('histogram with max samples', () => {
+    const metrics = new Metrics();
+    const histogram = metrics.get('histogram', 'http.use', null, {
+      maxSamples: 10,
+    });
+    _.forEach(_.range(1, 1001), value => histogram.record(value));
+    assert.equal(histogram.count, 1000);
+    assert.equal(internal(histogram).samples.length, 10);
+    const fields = metrics.collect()[0].fields;
+    // the count, sum, min and max are exact, the percentiles are from the samples
+    assert.deepEqual(_.pick(fields, ['count', 'sum', 'min', 'max', 'mean']), {
+      count: 1000,
+      sum: 500500,
+      min: 1,
+      max: 1000,
+      mean: 500.5,
+    });
+    assert(fields.p50 >= 1 && fields.p50 <= 1000);
+    assert(fields.p99 >= fields.p50);
+  });
+});
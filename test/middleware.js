@@ -0,0 +1,138 @@
+'use strict';
+const assert = require('assert');
+const http = require('http');
+const middleware = require('../lib/middleware');
+const Client = require('../lib/client');
+
+describe('middleware', () => {
+  const createClient = () => {
+    const client = new Client('http://localhost:8086/mydb');
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    return {
+      client,
+      points,
+    };
+  };
+
+  it('normalize path', () => {
+    assert.equal(middleware.normalizePath('/users/123/books?type=1'), '/users/:id/books');
+    assert.equal(middleware.normalizePath('/users/5b1f8ac2d5e9c1b4c8e4f1a2'), '/users/:id');
+    assert.equal(middleware.normalizePath('/files/550e8400-e29b-41d4-a716-446655440000/'), '/files/:id/');
+    assert.equal(middleware.normalizePath('/users/vicanso'), '/users/vicanso');
+  });
+
+  it('express middleware', (done) => {
+    const data = createClient();
+    const fn = data.client.expressMiddleware({
+      buckets: [100, 300],
+      normalizePath: true,
+      tags: {
+        app: () => 'test',
+        none: () => null,
+      },
+      fields: {
+        agent: req => req.headers['user-agent'],
+      },
+    });
+    const server = http.createServer((req, res) => {
+      fn(req, res, () => {
+        res.statusCode = 201;
+        res.setHeader('Content-Length', 2);
+        res.end('ok');
+      });
+    }).listen(8088, () => {
+      http.get({
+        port: 8088,
+        path: '/users/123?type=vip',
+        headers: {
+          'User-Agent': 'mocha',
+        },
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          server.close();
+          const point = data.points[0];
+          assert.equal(point.measurement, 'http');
+          assert.deepEqual(point.tags, {
+            spdy: '0',
+            type: '2',
+            method: 'GET',
+            route: '/users/:id',
+            app: 'test',
+          });
+          assert.deepEqual(point.fields.code, {
+            type: 'integer',
+            value: 201,
+          });
+          assert.equal(point.fields.bytes.value, 2);
+          assert.equal(point.fields.url, '/users/123?type=vip');
+          assert.equal(point.fields.agent, 'mocha');
+          assert.equal(point.fields.use.type, 'float');
+          done();
+        });
+      });
+    });
+  });
+
+  it('koa middleware', () => {
+    const data = createClient();
+    const fn = data.client.koaMiddleware({
+      measurement: 'koa-http',
+      route: ctx => ctx.routeName,
+    });
+    const ctx = {
+      method: 'POST',
+      originalUrl: '/users/123',
+      routeName: 'updateUser',
+      status: 404,
+    };
+    return fn(ctx, () => Promise.resolve()).then(() => {
+      const point = data.points[0];
+      assert.equal(point.measurement, 'koa-http');
+      assert.equal(point.tags.route, 'updateUser');
+      assert.equal(point.tags.type, '4');
+      assert.equal(point.fields.bytes, undefined);
+      return data.client.koaMiddleware()({
+        method: 'GET',
+        originalUrl: '/users/123',
+        _matchedRoute: '/users/:account',
+      }, () => Promise.reject(new Error('fail')));
+    }).then(() => {
+      throw new Error('the error should be thrown');
+    }, (err) => {
+      assert.equal(err.message, 'fail');
+      assert.equal(data.points[1].tags.route, '/users/:account');
+      assert.equal(data.points[1].fields.code.value, 500);
+    });
+  });
+
+  it('tag the request without matched route as unmatched', () => {
+    const data = createClient();
+    const fn = data.client.koaMiddleware();
+    const urls = ['/wp-admin/setup-config.php', '/users/vicanso', '/search/shoes-red'];
+    return Promise.all(urls.map(url => fn({
+      method: 'GET',
+      originalUrl: url,
+      status: 404,
+    }, () => Promise.resolve()))).then(() => {
+      assert.equal(data.points.length, 3);
+      data.points.forEach(point => assert.equal(point.tags.route, 'unmatched'));
+    });
+  });
+
+  it('sample the requests', () => {
+    const data = createClient();
+    const fn = data.client.koaMiddleware({
+      sampleRate: 0,
+      route: false,
+    });
+    return fn({
+      method: 'GET',
+      originalUrl: '/',
+      status: 200,
+    }, () => Promise.resolve()).then(() => {
+      assert.equal(data.points.length, 0);
+    });
+  });
+});
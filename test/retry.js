@@ -0,0 +1,86 @@
+'use strict';
+const assert = require('assert');
+const retry = require('../lib/retry');
+
+describe('retry', () => {
+  const policy = retry.getPolicy({
+    baseDelay: 1,
+    maxDelay: 4,
+    jitter: false,
+  });
+  const createError = (status, code) => {
+    const err = new Error(`${status || code}`);
+    err.status = status;
+    err.code = code;
+    return err;
+  };
+
+  it('get policy', () => {
+    assert.equal(retry.getPolicy(), null);
+    assert.equal(policy.maxAttempts, 3);
+    assert.equal(policy.baseDelay, 1);
+  });
+
+  it('get delay', () => {
+    assert.equal(retry.getDelay(policy, 1), 1);
+    assert.equal(retry.getDelay(policy, 2), 2);
+    assert.equal(retry.getDelay(policy, 5), 4);
+    const jitterPolicy = retry.getPolicy({
+      baseDelay: 100,
+    });
+    for (let i = 0; i < 10; i += 1) {
+      const delay = retry.getDelay(jitterPolicy, 2);
+      assert(delay >= 0 && delay <= 200);
+    }
+  });
+
+  it('is retryable', () => {
+    assert(retry.isRetryable(policy, createError(503)));
+    assert(retry.isRetryable(policy, createError(null, 'ECONNRESET')));
+    assert(!retry.isRetryable(policy, createError(501)));
+    assert(!retry.isRetryable(policy, createError(null, 'ENOTFOUND')));
+    const customPolicy = retry.getPolicy({
+      statusCodes: [429, 503],
+    });
+    assert(retry.isRetryable(customPolicy, createError(429)));
+    assert(!retry.isRetryable(customPolicy, createError(429), true));
+  });
+
+  it('retry until success', done => {
+    let count = 0;
+    retry.retry(policy, () => {
+      count += 1;
+      if (count < 3) {
+        throw createError(503);
+      }
+      return count;
+    }).then((data) => {
+      assert.equal(data, 3);
+      done();
+    }).catch(done);
+  });
+
+  it('reject with attempts when reach max attempts', done => {
+    retry.retry(policy, () => Promise.reject(createError(null, 'ECONNREFUSED'))).then(() => {
+      done(new Error('should be fail'));
+    }).catch((err) => {
+      assert.equal(err.code, 'ECONNREFUSED');
+      assert.equal(err.attempts, 3);
+      done();
+    });
+  });
+
+  it('not retry the client error of write', done => {
+    let count = 0;
+    retry.retry(policy, () => {
+      count += 1;
+      throw createError(400);
+    }, true).then(() => {
+      done(new Error('should be fail'));
+    }).catch((err) => {
+      assert.equal(count, 1);
+      assert.equal(err.attempts, 1);
+      done();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+const assert = require('assert');
+const _ = require('lodash');
+const RuntimeCollector = require('../lib/runtime');
+const Client = require('../lib/client');
+
+describe('RuntimeCollector', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('collect the runtime metrics', () => {
+    const client = new Client('http://localhost:8086/mydb');
+    const collector = new RuntimeCollector(client, {
+      measurement: 'runtime-test',
+    }).start();
+    assert(collector.running);
+    // make some garbage for gc
+    _.times(10, () => _.range(100000).map(i => ({
+      i,
+    })));
+    return delay(50).then(() => {
+      const fields = collector.collect();
+      _.forEach(['heapUsed', 'heapTotal', 'rss'], (key) => {
+        assert(_.isNumber(fields[key]), `${key} should be number`);
+      });
+      // the active resources are omitted if getActiveResourcesInfo is not supported
+      const hasActiveResources = _.isFunction(process.getActiveResourcesInfo);
+      _.forEach(['activeHandles', 'activeRequests'], (key) => {
+        assert.equal(_.isNumber(fields[key]), hasActiveResources);
+      });
+      assert(fields.eventLoopLag >= 0);
+      assert(fields.eventLoopLagMax >= fields.eventLoopLag);
+      assert(fields.cpuUser > 0);
+      assert(fields.cpuUsage > 0);
+      assert(_.isNumber(fields.gcCount));
+      collector.stop();
+      assert(!collector.running);
+    });
+  });
+
+  it('queue the points with typed fields', () => {
+    const client = new Client('http://localhost:8086/mydb');
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    const collector = client.collectRuntimeMetrics({
+      interval: 60 * 1000,
+      tags: {
+        app: 'test',
+      },
+    });
+    collector.queue().queue();
+    const another = client.collectRuntimeMetrics();
+    // the previous collector is stopped
+    assert(!collector.running);
+    another.stop();
+    assert.equal(points.length, 2);
+    // the points are synced by the flush options of client
+    assert.equal(client.writeQueueLength, 2);
+    const point = points[0];
+    assert.equal(point.measurement, 'nodejs');
+    assert.deepEqual(point.tags, {
+      app: 'test',
+    });
+    assert.equal(point.fields.heapUsed.type, 'integer');
+    assert.equal(point.fields.cpuUsage.type, 'float');
+    assert(!client.schema('nodejs'));
+  });
+});
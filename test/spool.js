@@ -0,0 +1,162 @@
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const Spool = require('../lib/spool');
+
+describe('Spool', () => {
+  const dir = path.join(os.tmpdir(), `influxdb-nodejs-spool-${process.pid}`);
+  const getPoints = (count, prefix) => _.map(_.range(count), i => ({
+    measurement: 'http',
+    fields: {
+      use: i,
+      url: `${prefix}-${i}`,
+    },
+  }));
+  const clear = () => {
+    if (fs.existsSync(dir)) {
+      _.forEach(fs.readdirSync(dir), file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    }
+  };
+
+  before(clear);
+  after(clear);
+
+  it('append points', () => {
+    const spool = new Spool({
+      path: dir,
+    });
+    const result = spool.append(getPoints(2, 'a'));
+    assert.equal(result.count, 2);
+    assert(result.bytes);
+    assert.equal(result.evicted.count, 0);
+    assert.equal(spool.length, 1);
+    assert.equal(spool.size, result.bytes);
+  });
+
+  it('create the parent directories of spool', () => {
+    const parent = `${dir}-parent`;
+    const nested = path.join(parent, 'nested');
+    const spool = new Spool({
+      path: nested,
+    });
+    spool.append(getPoints(1, 'a'));
+    assert.equal(fs.readdirSync(nested).length, 1);
+    _.forEach(fs.readdirSync(nested), file => fs.unlinkSync(path.join(nested, file)));
+    fs.rmdirSync(nested);
+    fs.rmdirSync(parent);
+  });
+
+  it('load segments after restart', () => {
+    const spool = new Spool({
+      path: dir,
+    });
+    assert.equal(spool.length, 1);
+    const segment = spool.peek();
+    assert.equal(segment.points.length, 2);
+    assert.equal(segment.points[1].fields.url, 'a-1');
+    spool.remove(segment.seq);
+    assert.equal(spool.length, 0);
+    assert.equal(fs.readdirSync(dir).length, 0);
+  });
+
+  it('roll the segment by segment size', () => {
+    const spool = new Spool({
+      path: dir,
+      segmentSize: 10,
+    });
+    spool.append(getPoints(1, 'a'));
+    spool.append(getPoints(1, 'b'));
+    assert.equal(spool.length, 2);
+    assert.equal(spool.peek().points[0].fields.url, 'a-0');
+  });
+
+  it('not append to the peeked segment', () => {
+    clear();
+    const spool = new Spool({
+      path: dir,
+    });
+    spool.append(getPoints(1, 'a'));
+    const segment = spool.peek();
+    spool.append(getPoints(1, 'b'));
+    assert.equal(spool.length, 2);
+    assert.equal(segment.points.length, 1);
+    spool.remove(segment.seq);
+    assert.equal(spool.peek().points[0].fields.url, 'b-0');
+  });
+
+  it('evict the oldest points', () => {
+    clear();
+    const spool = new Spool({
+      path: dir,
+      segmentSize: 10,
+      maxSize: 200,
+    });
+    const first = spool.append(getPoints(2, 'a'));
+    const result = spool.append(getPoints(2, 'b'));
+    assert.equal(result.evicted.count, 2);
+    assert.equal(result.evicted.bytes, first.bytes);
+    assert.equal(spool.length, 1);
+    assert.equal(spool.peek().points[0].fields.url, 'b-0');
+  });
+
+  it('evict the newest points', () => {
+    clear();
+    const spool = new Spool({
+      path: dir,
+      maxSize: 200,
+      evict: 'newest',
+    });
+    spool.append(getPoints(2, 'a'));
+    const result = spool.append(getPoints(2, 'b'));
+    assert.equal(result.count, 0);
+    assert.equal(result.evicted.count, 2);
+    assert.equal(spool.length, 1);
+    assert.equal(spool.peek().points[0].fields.url, 'a-0');
+  });
+
+  it('treat the missing segment as consumed', () => {
+    clear();
+    const spool = new Spool({
+      path: dir,
+      segmentSize: 10,
+    });
+    spool.append(getPoints(1, 'a'));
+    spool.append(getPoints(1, 'b'));
+    fs.unlinkSync(path.join(dir, '000000000001.spool'));
+    const segment = spool.peek();
+    assert.equal(spool.length, 1);
+    assert.equal(segment.points[0].fields.url, 'b-0');
+    spool.remove(segment.seq);
+    fs.writeFileSync(path.join(dir, '000000000003.spool'), '');
+    const other = new Spool({
+      path: dir,
+    });
+    fs.unlinkSync(path.join(dir, '000000000003.spool'));
+    assert.equal(other.peek(), null);
+    assert.equal(other.length, 0);
+  });
+
+  it('drop the corrupt lines of the segment', () => {
+    clear();
+    const spool = new Spool({
+      path: dir,
+    });
+    spool.append(getPoints(2, 'a'));
+    const file = path.join(dir, '000000000001.spool');
+    fs.appendFileSync(file, '{"measurement":"ht\n');
+    const size = spool.size;
+    const reloaded = new Spool({
+      path: dir,
+    });
+    const segment = reloaded.peek();
+    assert.equal(segment.points.length, 2);
+    assert.equal(segment.corrupted.count, 1);
+    assert.equal(segment.corrupted.bytes, 19);
+    assert.equal(reloaded.size, size);
+    assert.equal(reloaded.peek().corrupted.count, 0);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+const assert = require('assert');
+const Client = require('../lib/client');
+
+describe('Timer', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const createClient = () => {
+    const client = new Client('http://localhost:8086/mydb');
+    const points = [];
+    client.on('writeQueue', point => points.push(point));
+    return {
+      client,
+      points,
+    };
+  };
+
+  it('end the timer', () => {
+    const data = createClient();
+    const timer = data.client.timer('http', {
+      method: 'GET',
+    });
+    return delay(10).then(() => {
+      const use = timer.end({
+        code: 200,
+      }, {
+        spdy: 'fast',
+      });
+      assert(use >= 5 && use < 1000);
+      assert.equal(timer.end(), use);
+      assert.equal(timer.elapsed, use);
+      assert.equal(data.points.length, 1);
+      const point = data.points[0];
+      assert.deepEqual(point.tags, {
+        method: 'GET',
+        spdy: 'fast',
+      });
+      assert.equal(point.fields.code, 200);
+      assert.deepEqual(point.fields.use, {
+        type: 'float',
+        value: use,
+      });
+    });
+  });
+
+  it('set the field and unit', () => {
+    const data = createClient();
+    const timer = data.client.timer('http', null, {
+      field: 'duration',
+      unit: 'ns',
+    });
+    const duration = timer.end();
+    assert(Number.isInteger(duration));
+    assert.deepEqual(data.points[0].fields.duration, {
+      type: 'integer',
+      value: duration,
+    });
+  });
+
+  it('wrap the promise', () => {
+    const data = createClient();
+    const timer = data.client.timer('query');
+    return timer.wrap(delay(10).then(() => 'vicanso'), {
+      count: 1,
+    }).then((result) => {
+      assert.equal(result, 'vicanso');
+      assert(data.points[0].fields.use.value >= 5);
+      assert.equal(data.points[0].fields.count, 1);
+      return data.client.timer('query').wrap(Promise.reject(new Error('query fail')));
+    }).then(() => {
+      throw new Error('the promise should be rejected');
+    }, (err) => {
+      assert.equal(err.message, 'query fail');
+      assert.equal(data.points.length, 2);
+    });
+  });
+
+  it('wrap the function', () => {
+    const data = createClient();
+    const findUser = data.client.timer('query').wrap(function find(account) {
+      assert.equal(this.type, 'user');
+      return delay(10).then(() => account);
+    }, null, {
+      type: 'user',
+    });
+    const add = data.client.timer('add').wrap((a, b) => a + b);
+    const fail = data.client.timer('fail').wrap(() => {
+      throw new Error('fail');
+    });
+    assert.equal(add(1, 2), 3);
+    assert.throws(fail, /fail/);
+    assert.equal(data.points.length, 2);
+    return findUser.call({
+      type: 'user',
+    }, 'vicanso').then((account) => {
+      assert.equal(account, 'vicanso');
+      assert.equal(data.points.length, 3);
+      assert.equal(data.points[2].tags.type, 'user');
+    });
+  });
+
+  it('pass through the result when the point can not be queued', () => {
+    const client = new Client('http://localhost:8086/mydb', {
+      queueLimit: {
+        maxPoints: 1,
+        overflow: 'reject',
+      },
+    });
+    client.write('http').field('use', 1).queue();
+    const add = client.timer('add').wrap((a, b) => a + b);
+    assert.equal(add(1, 2), 3);
+    return client.timer('query').wrap(Promise.resolve('vicanso')).then((result) => {
+      assert.equal(result, 'vicanso');
+      return client.timer('query').wrap(Promise.reject(new Error('query fail')));
+    }).then(() => {
+      throw new Error('the promise should be rejected');
+    }, (err) => {
+      assert.equal(err.message, 'query fail');
+      assert.equal(client.writeQueueLength, 1);
+    });
+  });
+});
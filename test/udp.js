@@ -0,0 +1,146 @@
+'use strict';
+const assert = require('assert');
+const dgram = require('dgram');
+const _ = require('lodash');
+const UDP = require('../lib/udp');
+const Influx = require('../lib/influx');
+const Client = require('../lib/client');
+
+describe('UDP', () => {
+  const port = 8090;
+  const messages = [];
+  const server = dgram.createSocket('udp4');
+  // wait for the datagrams
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  before(done => {
+    server.on('message', msg => messages.push(msg.toString()));
+    server.bind(port, () => done());
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    messages.length = 0;
+  });
+
+  it('send datagram', () => {
+    const udp = new UDP([
+      {
+        host: '127.0.0.1',
+        port,
+      },
+    ], {
+      mtu: 500,
+    });
+    assert.equal(udp.payloadSize, 472);
+    assert.equal(udp.precision, 'ns');
+    return udp.send('http use=1').then((bytes) => {
+      assert.equal(bytes, 10);
+      return delay(50);
+    }).then(() => {
+      assert.deepEqual(messages, ['http use=1']);
+      udp.close();
+    });
+  });
+
+  it('write points in datagrams', () => {
+    const influx = new Influx({
+      servers: [
+        {
+          protocol: 'udp',
+          host: '127.0.0.1',
+          port,
+        },
+      ],
+      udp: {
+        mtu: 100,
+        precision: 's',
+      },
+    });
+    const points = _.map(_.range(5), i => ({
+      measurement: 'http',
+      tags: {
+        spdy: 'fast',
+      },
+      fields: {
+        use: i,
+      },
+      time: '1463413422809',
+      precision: 'ms',
+    }));
+    return influx.write(points).then((result) => {
+      assert.equal(result.count, 5);
+      assert.equal(result.accepted, 5);
+      return delay(50);
+    }).then(() => {
+      assert.equal(messages.length, 3);
+      _.forEach(messages, msg => assert(Buffer.byteLength(msg) <= 72));
+      assert.equal(messages[0].split('\n')[0], 'http,spdy=fast use=0 1463413422');
+    });
+  });
+
+  it('reject the points which can not be written by udp', () => {
+    const influx = new Influx({
+      servers: [
+        {
+          host: '127.0.0.1',
+          port: 8086,
+        },
+      ],
+      database: 'mydb',
+      udp: {
+        port,
+        mtu: 100,
+      },
+    });
+    return influx.write([
+      {
+        measurement: 'http',
+        fields: {
+          url: _.repeat('a', 100),
+        },
+      },
+      {
+        measurement: 'http',
+        fields: {
+          use: 1,
+        },
+        retentionPolicy: 'one_week',
+      },
+      {
+        measurement: 'http',
+        fields: {
+          use: 2,
+        },
+        database: 'mydb',
+      },
+    ]).then(() => {
+      throw new Error('the point is too large should be fail');
+    }, (err) => {
+      const result = err.result;
+      assert.equal(result.accepted, 1);
+      assert.equal(result.dropped, 2);
+      assert.equal(result.rejected[0].reason, 'the point is too large for the udp datagram');
+      assert.equal(result.rejected[1].index, 1);
+      return delay(50);
+    }).then(() => {
+      assert.deepEqual(messages, ['http use=2']);
+    });
+  });
+
+  it('write by udp uri', () => {
+    const client = new Client(`udp://127.0.0.1:${port}`);
+    client.write('http').field('use', 1).queue();
+    return client.syncWrite().then((result) => {
+      assert.equal(result.accepted, 1);
+      return client.write('http').field('use', 2);
+    }).then(() => client.query('http').then(() => {
+      throw new Error('query by udp should be fail');
+    }, (err) => {
+      assert.equal(err.message, 'query is not supported by udp');
+      return delay(50);
+    })).then(() => {
+      assert.equal(messages.length, 2);
+      assert.equal(messages[1], 'http use=2');
+    });
+  });
+});
@@ -21,4 +21,145 @@ describe('util', () => {
     assert.equal(newError.path, '/query');
     assert.equal(newError.status, 400);
   });
+
+  it('map with concurrency limit', done => {
+    let running = 0;
+    let max = 0;
+    util.mapLimit([1, 2, 3, 4, 5], 2, (v) => {
+      running += 1;
+      max = Math.max(max, running);
+      return new Promise(resolve => setTimeout(() => {
+        running -= 1;
+        resolve(v * 2);
+      }, 5));
+    }).then((data) => {
+      assert.equal(max, 2);
+      assert.equal(data.join(','), '2,4,6,8,10');
+      done();
+    }).catch(done);
+  });
+
+  it('get time', () => {
+    const now = Date.now();
+    assert.equal(util.getTime('h'), `${Math.floor(now / 3600000)}`);
+    assert.equal(util.getTime('s').length, 10);
+    assert.equal(util.getTime('ms').length, 13);
+    assert.equal(util.getTime('u').length, 16);
+    assert.equal(util.getTime('us').length, 16);
+    assert.equal(util.getTime().length, 19);
+  });
+
+  it('parse and format timestamp', () => {
+    const format = (timestamp, precision) => util.formatTimestamp(util.parseTimestamp(timestamp), precision);
+    assert.equal(util.parseTimestamp(1463413422809), '1463413422809');
+    assert.equal(util.parseTimestamp('1463413422809000001'), '1463413422809000001');
+    const date = new Date('2016-05-16T03:43:42.809Z');
+    assert.equal(format(date), '1463370222809000000');
+    assert.equal(format(date, 'u'), '1463370222809000');
+    assert.equal(format(date, 'ms'), '1463370222809');
+    assert.equal(format(date, 's'), '1463370222');
+    assert.equal(format(date, 'm'), '24389503');
+    assert.equal(format(date, 'h'), '406491');
+    assert.equal(format('2016-05-16T03:43:42.809123456Z'), '1463370222809123456');
+    assert.equal(format('2016-05-16T11:43:42.809123456+08:00', 'u'), '1463370222809123');
+    assert.equal(format('2016-05-16T11:43:42+0800', 'ms'), '1463370222000');
+    assert.equal(format('2016-05-16', 's'), '1463356800');
+    assert.equal(format('1970-01-01T00:00:00.000000001Z'), '1');
+    assert.equal(format('1969-12-31T23:59:59.75Z', 'ms'), '-250');
+    assert.equal(format('1969-12-31T23:59:58.999999999Z'), '-1000000001');
+    assert.equal(format(new Date(-2000), 'u'), '-2000000');
+    if (typeof BigInt !== 'undefined') {
+      assert.equal(format(BigInt('1463370222809123456')), '1463370222809123456');
+      assert.equal(format(BigInt('1463370222809123456'), 'ms'), '1463370222809');
+      assert.equal(format(BigInt('-1000000001'), 'ms'), '-1001');
+      assert.equal(format(BigInt(5)), '5');
+      assert.throws(() => util.parseTimestamp(BigInt('9223372036854775807000')), /out of range/);
+    }
+  });
+
+  it('convert timestamp', () => {
+    assert.equal(util.convertTimestamp('1463413422809', 'ms', 's'), '1463413422');
+    assert.equal(util.convertTimestamp('1463413422809', 'ms'), '1463413422809000000');
+    assert.equal(util.convertTimestamp('1463413422809000001', 'n', 'u'), '1463413422809000');
+    assert.equal(util.convertTimestamp('406503', 'h', 'ms'), '1463410800000');
+    assert.equal(util.convertTimestamp('-1500', 'ms', 's'), '-2');
+    assert.equal(util.convertTimestamp('1463413422809', 'ms', 'ms'), '1463413422809');
+  });
+
+  it('compare and increase timestamp', () => {
+    assert.equal(util.compareTimestamp('10', '9'), 1);
+    assert.equal(util.compareTimestamp('1463413422809000000', '1463413422809000001'), -1);
+    assert.equal(util.compareTimestamp(1463413422, '1463413422'), 0);
+    assert.equal(util.nextTimestamp('1463413422809'), '1463413422810');
+    assert.equal(util.nextTimestamp('1463413422809999999'), '1463413422810000000');
+    assert.equal(util.nextTimestamp('999'), '1000');
+  });
+
+  it('parse invalid timestamp', () => {
+    assert.throws(() => util.parseTimestamp(1463413422809.5), /timestamp is invalid/);
+    assert.throws(() => util.parseTimestamp(NaN), /timestamp is invalid/);
+    assert.throws(() => util.parseTimestamp(new Date('abc')), /timestamp is invalid/);
+    assert.throws(() => util.parseTimestamp('2016-05-16 now'), /timestamp is invalid/);
+    assert.throws(() => util.parseTimestamp('2016-05-16T03:43:42.1234567891Z'), /timestamp is invalid/);
+    assert.throws(() => util.parseTimestamp({}), /timestamp is invalid/);
+    assert.throws(() => util.parseTimestamp(new Date('2300-01-01T00:00:00Z')), /timestamp is out of range/);
+    assert.throws(() => util.parseTimestamp('92233720368547758070000'), /timestamp is out of range/);
+    assert.throws(() => util.parseTimestamp(10000000000, 's'), /timestamp is out of range/);
+    assert.throws(() => util.parseTimestamp('-200000000', 'm'), /timestamp is out of range/);
+    assert.equal(util.parseTimestamp('9223372035999999999'), '9223372035999999999');
+    assert.equal(util.parseTimestamp(1463413422809, 'ms'), '1463413422809');
+  });
+
+  it('flatten nested object', () => {
+    const data = {
+      use: 300,
+      memory: {
+        heap: {
+          total: 1024,
+          used: 512,
+        },
+        rss: 2048,
+        external: null,
+      },
+      codes: [200, 304],
+      size: {
+        type: 'integer',
+        value: 10,
+      },
+    };
+    data.memory.parent = data;
+    assert.deepEqual(util.flatten(data), {
+      use: 300,
+      'memory.heap.total': 1024,
+      'memory.heap.used': 512,
+      'memory.rss': 2048,
+      'codes.0': 200,
+      'codes.1': 304,
+      size: {
+        type: 'integer',
+        value: 10,
+      },
+    });
+    assert.deepEqual(util.flatten(data, {
+      separator: '_',
+      maxDepth: 2,
+      arrays: 'join',
+      filter: key => key !== 'use',
+    }), {
+      memory_heap: '{"total":1024,"used":512}',
+      memory_rss: 2048,
+      codes: '200,304',
+      size: {
+        type: 'integer',
+        value: 10,
+      },
+    });
+    assert.deepEqual(util.flatten(data, {
+      arrays: 'ignore',
+      filter: /^memory\.heap/,
+    }), {
+      'memory.heap.total': 1024,
+      'memory.heap.used': 512,
+    });
+  });
 });
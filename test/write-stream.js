@@ -0,0 +1,147 @@
+'use strict';
+const assert = require('assert');
+const stream = require('stream');
+const _ = require('lodash');
+const Client = require('../lib/client');
+
+describe('Client:createWriteStream', () => {
+  const port = 8088;
+  const writes = [];
+  let pending = 0;
+  const server = require('http').createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      pending += 1;
+      // delay the response to check the backpressure
+      setTimeout(() => {
+        pending -= 1;
+        writes.push(Buffer.concat(chunks).toString().split('\n'));
+        res.statusCode = 204;
+        res.end();
+      }, 20);
+    });
+  });
+
+  before(done => server.listen(port, done));
+  after(done => server.close(done));
+  beforeEach(() => {
+    writes.length = 0;
+  });
+
+  it('write points', (done) => {
+    const client = new Client(`http://localhost:${port}/mydb`);
+    // the schema is global, so the measurement is only used by this test
+    client.schema('stream', {
+      use: 'integer',
+    });
+    const writeStream = client.createWriteStream('stream', {
+      batchSize: 2,
+      highWaterMark: 1,
+    });
+    const points = _.map(_.range(5), i => ({
+      tags: {
+        spdy: 'fast',
+      },
+      fields: {
+        use: i,
+      },
+      time: 1463413422809 + i,
+      precision: 'ms',
+    }));
+    points.push({
+      measurement: 'login',
+      fields: {
+        account: 'vicanso',
+      },
+      time: new Date('2016-05-16T03:43:42.809Z'),
+    });
+    const results = _.map(points, point => writeStream.write(point));
+    // the stream is waiting for the sync write
+    assert(_.includes(results, false));
+    writeStream.on('finish', () => {
+      assert.equal(pending, 0);
+      assert.equal(client.writeQueueLength, 0);
+      // the points of different precisions are written by different requests
+      assert.equal(writes.length, 4);
+      assert.deepEqual(writes[0], [
+        'stream,spdy=fast use=0i 1463413422809',
+        'stream,spdy=fast use=1i 1463413422810',
+      ]);
+      assert.deepEqual(writes[2], ['stream,spdy=fast use=4i 1463413422813']);
+      assert.deepEqual(writes[3], ['login account="vicanso" 1463370222809000000']);
+      done();
+    });
+    writeStream.end();
+  });
+
+  it('pipe the parse stream', (done) => {
+    const client = new Client(`http://localhost:${port}/mydb`);
+    const readable = new stream.Readable({
+      read() {},
+    });
+    readable.push('http,spdy=fast use=300i 1463413422809000000\n');
+    readable.push('http,spdy=slow use=1000i 1463413422809000000\n');
+    readable.push(null);
+    readable.pipe(Client.createParseStream())
+      .pipe(client.createWriteStream())
+      .on('finish', () => {
+        assert.deepEqual(writes, [
+          [
+            'http,spdy=fast use=300i 1463413422809000000',
+            'http,spdy=slow use=1000i 1463413422809000000',
+          ],
+        ]);
+        done();
+      });
+  });
+
+  it('emit error', (done) => {
+    const client = new Client('http://localhost:8087/mydb');
+    const writeStream = client.createWriteStream('http');
+    writeStream.on('error', (err) => {
+      assert(err);
+      assert.equal(client.listenerCount('flushError'), 0);
+      done();
+    });
+    writeStream.write({
+      fields: {
+        use: 300,
+      },
+    });
+    writeStream.end();
+  });
+
+  it('ignore the flush error without the points of stream', (done) => {
+    const client = new Client(`http://localhost:${port}/mydb`);
+    const writeStream = client.createWriteStream('stream');
+    writeStream.on('error', done);
+    writeStream.on('finish', () => {
+      assert.equal(writes.length, 1);
+      assert(_.startsWith(writes[0][0], 'stream use=300i '));
+      done();
+    });
+    writeStream.write({
+      fields: {
+        use: 300,
+      },
+    });
+    // the point of stream is still queued, so the error is from the flush of other points
+    client.emit('flushError', new Error('other points are failed'));
+    writeStream.end();
+  });
+
+  it('emit error for invalid point', (done) => {
+    const client = new Client(`http://localhost:${port}/mydb`);
+    const writeStream = client.createWriteStream('http');
+    writeStream.on('error', (err) => {
+      assert.equal(err.message, 'fields can not be empty');
+      done();
+    });
+    writeStream.write({
+      tags: {
+        spdy: 'fast',
+      },
+    });
+  });
+});
@@ -3,6 +3,8 @@ const assert = require('assert');
 const Writer = require('../lib/writer');
 const Reader = require('../lib/reader');
 const Influx = require('../lib/influx');
+const schema = require('../lib/schema');
+const lineProtocol = require('../lib/line-protocol');
 const _ = require('lodash');
 const db = 'vicanso';
 describe('Writer', () => {
@@ -39,10 +41,13 @@ describe('Writer', () => {
     })
     .tag('method', 'get')
     .field({
-      use: '500i',
+      use: {
+        type: 'integer',
+        value: 500,
+      },
       size: 11 * 1024,
       url: '/user/session',
-      auth: 'T',
+      auth: true,
     })
     .field('code', 400)
     .then(() => {
@@ -93,7 +98,10 @@ describe('Writer', () => {
     const writer = new Writer(influx);
     writer.measurement = 'http';
     writer.tag('spdy', 'lightning')
-      .field('use', '100i')
+      .field('use', {
+        type: 'integer',
+        value: 100,
+      })
       .time(ns)
       .then(() => {
         return delay(100);
@@ -116,7 +124,10 @@ describe('Writer', () => {
     writer.precision = 'ms';
     assert.equal(writer.precision, 'ms');
     writer.tag('usePrecision', 'true')
-      .field('use', '100i')
+      .field('use', {
+        type: 'integer',
+        value: 100,
+      })
       .time(1463413422809)
       .then(() => {
         return delay(100);
@@ -153,6 +164,168 @@ describe('Writer', () => {
     done();
   });
 
+  it('write queue keep the time', () => {
+    const arr = [];
+    const writer = new Writer(influx, (data) => {
+      arr.push(data);
+    });
+    writer.measurement = 'http';
+    writer.field('use', '200i')
+      .time(1463413422, 's')
+      .queue();
+    assert.equal(arr[0].time, 1463413422);
+    assert.equal(arr[0].precision, 's');
+  });
+
+  it('set the time of Date', () => {
+    const writer = new Writer(influx);
+    writer.measurement = 'http';
+    writer.field('use', 1)
+      .time(new Date(1463413422809));
+    assert.equal(writer.toJSON().time, '1463413422809000000');
+    writer.precision = 's';
+    assert.equal(writer.toJSON().time, '1463413422');
+    assert.throws(() => writer.time('yesterday'), /timestamp is invalid/);
+  });
+
+  it('set typed fields', () => {
+    const writer = new Writer(influx);
+    writer.measurement = 'http';
+    writer.integer('use', 300)
+      .unsigned('bytes', '18446744073709551615')
+      .float('rate', '0.5')
+      .boolean('auth', false)
+      .string('code', 200)
+      .field('count', 0);
+    if (typeof BigInt !== 'undefined') {
+      writer.integer('big', BigInt('9007199254740993'))
+        .field('bigger', BigInt('-9007199254740995'));
+    }
+    const data = writer.toJSON();
+    assert.equal(data.fields.use.type, 'integer');
+    assert.equal(data.fields.count, 0);
+    const line = lineProtocol.format(data);
+    assert(line.indexOf('use=300i,bytes=18446744073709551615u,rate=0.5,auth=false,code="200",count=0') !== -1);
+    if (typeof BigInt !== 'undefined') {
+      assert(line.indexOf('big=9007199254740993i,bigger=-9007199254740995i') !== -1);
+      // the BigInt is converted to string, so the point can be converted to json
+      assert.equal(JSON.parse(JSON.stringify(data)).fields.big.value, '9007199254740993');
+    }
+    assert.throws(() => writer.integer('use', 1.5), /integer field value is invalid/);
+    assert.throws(() => writer.unsigned('use', -1), /unsigned field value is out of range/);
+  });
+
+  it('set fields with unsigned schema', () => {
+    schema.set('typed', {
+      bytes: 'unsigned',
+      use: 'integer',
+      rate: 'float',
+    });
+    const writer = new Writer(influx);
+    writer.measurement = 'typed';
+    writer.field({
+      bytes: '18446744073709551615',
+      use: lineProtocol.typed('float', 300),
+      rate: lineProtocol.typed('integer', 1),
+      size: lineProtocol.typed('integer', 10),
+    });
+    const fields = writer.toJSON().fields;
+    assert.deepEqual(fields.bytes, {
+      type: 'unsigned',
+      value: '18446744073709551615',
+    });
+    assert.deepEqual(fields.use, {
+      type: 'integer',
+      value: 300,
+    });
+    assert.equal(fields.rate, 1);
+    assert.equal(fields.size.type, 'integer');
+    writer.field('bytes', -1);
+    assert.equal(writer.toJSON().fields.bytes, undefined);
+  });
+
+  it('set database and retention policy', () => {
+    const writer = new Writer(influx);
+    writer.measurement = 'http';
+    writer.field('use', '200i')
+      .database('mydb')
+      .retentionPolicy('one_week');
+    const data = writer.toJSON();
+    assert.equal(data.database, 'mydb');
+    assert.equal(data.retentionPolicy, 'one_week');
+  });
+
+  it('merge the default tags', () => {
+    schema.set('defaultTags', {
+      use: 'integer',
+    }, {
+      env: ['production', 'test'],
+    });
+    const writer = new Writer(influx);
+    writer.measurement = 'defaultTags';
+    writer.defaultTags = {
+      host: 'server01',
+      env: 'production',
+      region: null,
+    };
+    writer.tag('env', 'test').field('use', 300);
+    assert.deepEqual(writer.toJSON().tags, {
+      host: 'server01',
+      env: 'test',
+    });
+    writer.tag('env', 'dev');
+    assert.deepEqual(writer.toJSON().tags, {
+      host: 'server01',
+    });
+  });
+
+  it('flatten the nested tags and fields', () => {
+    schema.set('flatten', {
+      'heap.used': 'integer',
+    });
+    const writer = new Writer(influx);
+    writer.measurement = 'flatten';
+    writer.defaultTags = {
+      host: {
+        name: 'server01',
+      },
+    };
+    writer.flatten()
+      .tag('request', {
+        method: 'GET',
+      })
+      .field({
+        heap: {
+          used: '512',
+          total: 1024,
+        },
+      });
+    const data = writer.toJSON();
+    assert.deepEqual(data.tags, {
+      'host.name': 'server01',
+      'request.method': 'GET',
+    });
+    assert.deepEqual(data.fields, {
+      'heap.used': {
+        type: 'integer',
+        value: 512,
+      },
+      'heap.total': 1024,
+    });
+    assert.equal(writer.flatten(false).toJSON().fields.heap.used, '512');
+  });
+
+  it('get line protocol', () => {
+    const writer = new Writer(influx);
+    writer.measurement = 'http';
+    writer.tag('spdy', 'fast')
+      .field('use', lineProtocol.typed('integer', 300))
+      .field('url', '/users/me');
+    assert.equal(writer.toLineProtocol(), 'http,spdy=fast use=300i,url="/users/me"');
+    writer.time(new Date('2016-05-16T03:43:42.809Z'), 'ms');
+    assert.equal(writer.toLineProtocol(), 'http,spdy=fast use=300i,url="/users/me" 1463370222809');
+  });
+
   it('drop db', function(done) {
     this.timeout(5000);
     influx.dropDatabase(db).then(data => {